@@ -1,7 +1,23 @@
-// Dog Sports Tracking - Full App (offline, localStorage)
+// Dog Sports Tracking - Full App (offline, IndexedDB)
 // Features: dogs (add/edit/photo), record runs (timer + manual), PB trophy, leaderboard, charts, export/import.
 
-const STORE_KEY = "dst_store_v2";
+const STORE_KEY = "dst_store_v2"; // localStorage key, read once to migrate into IndexedDB
+const TIMER_KEY = "dst_timer"; // localStorage key for the run on the clock (kept out of the store and its exports)
+const STORE_VERSION = 9;
+
+// What a sport's runs can capture (see store.sports), and how its PBs/rankings are decided.
+const SPORT_FIELDS = {
+  time: "Time", distance: "Distance", faults: "Faults", refusals: "Refusals", penaltySec: "Penalty seconds",
+  eliminated: "Eliminated / DQ", qualified: "Qualifying", heightClass: "Height class", points: "Points"
+};
+const SCORE_FIELDS = ["faults", "refusals", "penaltySec", "eliminated", "qualified", "points"]; // stored in run.score
+const SPORT_RANKS = {
+  time: "Fastest course time",
+  speed: "Highest speed",
+  faults: "Fewest faults, then time",
+  points: "Most points, then time"
+};
+const RANK_METRIC = { time: "Course time", speed: "Best speed", faults: "Course time", points: "Points" };
 
 // ---------- Utilities ----------
 const $ = (sel, root=document) => root.querySelector(sel);
@@ -42,11 +58,50 @@ function speedKmh(distanceM, timeMs){
   return (distanceM * 3.6) / t;
 }
 
+// display units: runs are stored metric (distanceM, speedKmh) and converted only for display and input
+const SPEED_UNITS = { kmh: "km/h", mph: "mph", ms: "m/s", pace: "Pace (seconds per 100)" };
+const DIST_UNITS = { m: "Metres", yd: "Yards" };
+const YARD_M = 0.9144;
+
+function distUnit(){ return store.settings.distanceUnit === "yd" ? "yd" : "m"; }
+function toDistUnit(m, unit=distUnit()){ return unit === "yd" ? m / YARD_M : m; }
+function fromDistUnit(v, unit=distUnit()){ return unit === "yd" ? round(v * YARD_M, 4) : v; }
+function distInputM(v, knownM=[], places=1, unit=distUnit()){
+  // form inputs show round(toDistUnit(m), 1) (CSV cells 2 places): a value that still matches a stored
+  // distance keeps its exact metres, and only a typed one is converted (onto a cm grid, so it round-trips)
+  const hit = knownM.find(m => round(toDistUnit(m, unit), places) === v);
+  return hit ?? (Number.isFinite(v) ? round(fromDistUnit(v, unit), 2) : v);
+}
+function distLabel(m, sep=""){ return m ? `${round(toDistUnit(m), 1)}${sep}${distUnit()}` : ""; }
+
+function speedIn(kmh){
+  // km/h -> the number shown for settings.units (pace: seconds per 100 m or yd, lower is faster)
+  const u = store.settings.units;
+  if(u === "mph") return kmh / 1.609344;
+  if(u === "ms") return kmh / 3.6;
+  if(u === "pace") return kmh > 0 ? (100 * fromDistUnit(1)) / (kmh / 3.6) : 0;
+  return kmh;
+}
+function speedLabel(){ return store.settings.units === "pace" ? `s/100${distUnit()}` : SPEED_UNITS[store.settings.units] || "km/h"; }
+function speedText(kmh, digits=2){ return `${round(speedIn(kmh), digits)} ${speedLabel()}`; }
+
 function round(n, d=2){
   const p = Math.pow(10,d);
   return Math.round(n*p)/p;
 }
 
+function localDay(iso){
+  // YYYY-MM-DD in the device's timezone, comparable with <input type="date"> values
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+
+function localDateTime(iso){
+  // YYYY-MM-DDTHH:MM:SS in the device's timezone, for <input type="datetime-local">
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+}
+
 function safeJSONParse(x, fallback){
   try{ return JSON.parse(x); } catch { return fallback; }
 }
@@ -54,37 +109,253 @@ function safeJSONParse(x, fallback){
 // ---------- Storage ----------
 function defaultStore(){
   return {
-    version: 2,
+    version: STORE_VERSION,
     activeTab: "dogs",
     distances: [100, 200, 50],
-    dogs: [],
-    runs: [], // {id, dogId, distanceM, timeMs, speedKmh, sport, notes, createdAt}
+    dogs: [], // {id, name, breed, notes, birthdate?, createdAt}
+    runs: [], // {id, dogId, distanceM, timeMs, speedKmh, sport, notes, splits, score?, heightClass?, eventId?, sessionId?, startMethod?, timingSource?, video?:{name, fps, startS, finishS}, track?:[{t, lat, lon}], topSpeedKmh?, createdAt}
+    sports: defaultSports(), // {name, defaultDistanceM, fields:[SPORT_FIELDS key], rank, faultPoints?, heightClasses?}
+    events: [], // {id, name, date, venue, sport, distanceM, heatSize, rounds, order:[dogId], createdAt}
+    sessions: [], // {id, date, location, weather, surface, notes, planId?, log:[{id, at, kind, minutes, text}], createdAt, endedAt?}
+    plans: [], // {id, name, sport, steps:[{reps, distanceM, restS}], createdAt}
+    health: [], // {id, dogId, kind, date, endDate?, kg?, bcs?, text, createdAt}
+    trash: [], // {id, label, data:{dogs?, runs?, health?, events?, sessions?, plans?}, eventOrders?, reset?:{sports, distances, settings}, createdAt}
     settings: {
       defaultDistanceM: 100,
       defaultSport: "Sprint",
-      units: "kmh"
+      splitEveryM: 50,
+      startMethod: "tap", // START_METHODS key
+      countdownS: 3,
+      micThreshold: 0.3, // peak level (0–1) that counts as a whistle or clap
+      micStop: true, // in sound mode, the next spike stops the clock too
+      videoFps: 60, // frame rate assumed for frame stepping in video timing
+      gpsMode: false, // log a GPS track while the timer runs; its length becomes the run distance
+      historyOpen: false, // Record shows the full run history instead of the timer
+      historyFilter: { dogId:"", sport:"" },
+      rankFilter: { sport:"", heightClass:"", distanceM:0, breed:"", from:"", to:"" },
+      chartFilter: { dogIds:[], sport:"", distanceM:0, trend:5, health:true }, // trend = moving-average window in runs, 0 = off; health = overlay the health log
+      units: "kmh", // SPEED_UNITS key
+      distanceUnit: "m" // DIST_UNITS key
     }
   };
 }
 
-function loadStore(){
-  const raw = localStorage.getItem(STORE_KEY);
-  if(!raw) return defaultStore();
-  const s = safeJSONParse(raw, defaultStore());
-  // minimal migration guard
-  if(!s.version) return defaultStore();
+// Data migrations: MIGRATIONS[n] turns a version n-1 store into version n.
+// Never edit a step once shipped; add a new one and bump STORE_VERSION.
+const MIGRATIONS = {
+  2: (s) => ({
+    // pre-versioned stores: keep whatever dogs/runs exist instead of starting over
+    ...defaultStore(),
+    ...s,
+    distances: Array.isArray(s.distances) && s.distances.length ? s.distances : defaultStore().distances,
+    dogs: Array.isArray(s.dogs) ? s.dogs : [],
+    runs: Array.isArray(s.runs) ? s.runs : [],
+    settings: { ...defaultStore().settings, ...s.settings }
+  }),
+  3: (s) => ({
+    // settings added with splits and leaderboard filters
+    ...s,
+    settings: { ...defaultStore().settings, ...s.settings }
+  }),
+  4: (s) => ({ ...s, events: [] }),
+  5: (s) => ({ ...s, sports: defaultSports(s.settings?.defaultDistanceM || 100) }),
+  6: (s) => ({ ...s, sessions: [], plans: [] }),
+  7: (s) => ({
+    // weigh-ins move from the dog record into the health log
+    ...s,
+    dogs: (s.dogs || []).map(({ weights, ...d }) => d),
+    health: (s.dogs || []).flatMap(d => (d.weights || []).map(w => ({
+      id: `w-${d.id}-${w.date}`, dogId: d.id, kind: "weight", date: w.date, kg: w.kg, createdAt: nowISO()
+    })))
+  }),
+  8: (s) => ({
+    // timer start settings (countdown + sound trigger)
+    ...s,
+    settings: { ...defaultStore().settings, ...s.settings }
+  }),
+  9: (s) => ({ ...s, trash: [] })
+};
+
+function migrateStore(s){
+  if(!s || typeof s !== "object") return defaultStore();
+  // a missing or unreadable version means a pre-versioned store; step 2 copes with anything
+  const version = Number(s.version);
+  let out = { ...s, version: Number.isInteger(version) && version >= 1 ? version : 1 };
+  while(out.version < STORE_VERSION){
+    out = { ...MIGRATIONS[out.version + 1](out), version: out.version + 1 };
+  }
+  return out;
+}
+
+// IndexedDB layout: one record per item of each DB_COLLECTIONS array, photos kept
+// apart from dogs, and every other top-level store key as a {key, value} row in "settings".
+const DB_NAME = "dst";
+const DB_VERSION = 6;
+const DB_COLLECTIONS = ["dogs", "runs", "events", "sessions", "plans", "health", "trash"];
+const DB_STORES = [...DB_COLLECTIONS, "photos", "settings"];
+
+let db = null;
+let storageReady = false;
+let persisted = new Map(); // "<objectStore>/<key>" -> signature of what was last written
+
+function openDB(){
+  return new Promise((res, rej)=>{
+    if(!window.indexedDB){ rej(new Error("IndexedDB unavailable")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e)=>{
+      const d = req.result;
+      // one block per DB_VERSION, applied in order
+      if(e.oldVersion < 1){
+        d.createObjectStore("dogs", { keyPath:"id" });
+        d.createObjectStore("runs", { keyPath:"id" });
+        d.createObjectStore("photos", { keyPath:"dogId" });
+        d.createObjectStore("settings", { keyPath:"key" });
+      }
+      if(e.oldVersion < 2){
+        d.createObjectStore("events", { keyPath:"id" });
+      }
+      if(e.oldVersion < 3){
+        d.createObjectStore("sessions", { keyPath:"id" });
+        d.createObjectStore("plans", { keyPath:"id" });
+      }
+      if(e.oldVersion < 4){
+        d.createObjectStore("health", { keyPath:"id" });
+      }
+      if(e.oldVersion < 5){
+        d.createObjectStore("trash", { keyPath:"id" });
+      }
+      if(e.oldVersion < 6){
+        // snapshot list and the copies themselves apart, so listing them doesn't load every copy
+        d.createObjectStore("snapshots", { keyPath:"id" });
+        d.createObjectStore("snapshotData", { keyPath:"id" });
+      }
+    };
+    req.onsuccess = ()=> res(req.result);
+    req.onerror = ()=> rej(req.error);
+  });
+}
+
+function idbGetAll(name){
+  return new Promise((res, rej)=>{
+    const req = db.transaction(name).objectStore(name).getAll();
+    req.onsuccess = ()=> res(req.result);
+    req.onerror = ()=> rej(req.error);
+  });
+}
+
+function idbGet(name, key){
+  return new Promise((res, rej)=>{
+    const req = db.transaction(name).objectStore(name).get(key);
+    req.onsuccess = ()=> res(req.result);
+    req.onerror = ()=> rej(req.error);
+  });
+}
+
+function storeRows(s){
+  // flatten the in-memory store into the rows saveStore() writes
+  const rows = [];
+  s.dogs.forEach(d => {
+    const { photoDataUrl, ...dog } = d;
+    rows.push({ name:"dogs", key:d.id, value:dog });
+    if(photoDataUrl) rows.push({ name:"photos", key:d.id, value:{ dogId:d.id, dataUrl:photoDataUrl } });
+  });
+  DB_COLLECTIONS.filter(k => k !== "dogs").forEach(k => {
+    (s[k] || []).forEach(x => rows.push({ name:k, key:x.id, value:x }));
+  });
+  Object.keys(s).filter(k => !DB_COLLECTIONS.includes(k)).forEach(k => {
+    rows.push({ name:"settings", key:k, value:{ key:k, value:s[k] } });
+  });
+  // photos compare by the data URL itself rather than re-serializing it
+  rows.forEach(r => { r.sig = r.name === "photos" ? r.value.dataUrl : JSON.stringify(r.value); });
+  return rows;
+}
+
+async function readDB(){
+  const all = {};
+  await Promise.all(DB_STORES.map(async name => { all[name] = await idbGetAll(name); }));
+  if(!all.settings.some(x => x.key === "version")) return null;
+  const s = {};
+  all.settings.forEach(x => { s[x.key] = x.value; });
+  DB_COLLECTIONS.forEach(k => {
+    s[k] = all[k].sort((a,b)=> (a.createdAt||"").localeCompare(b.createdAt||""));
+  });
+  const photoByDog = new Map(all.photos.map(p => [p.dogId, p.dataUrl]));
+  s.dogs = s.dogs.map(d => ({ ...d, photoDataUrl: photoByDog.get(d.id) || null }));
+  return s;
+}
+
+async function loadStore(){
+  const legacy = localStorage.getItem(STORE_KEY);
+  try{
+    db = await openDB();
+  } catch {
+    // no IndexedDB (some private modes): keep using the single localStorage key
+    storageReady = true;
+    return migrateStore(safeJSONParse(legacy, null));
+  }
+
+  snapshots = (await idbGetAll("snapshots")).sort((a,b)=> b.createdAt.localeCompare(a.createdAt));
+  const fromDB = await readDB();
+  if(fromDB){
+    storageReady = true;
+    storeRows(fromDB).forEach(r => persisted.set(`${r.name}/${r.key}`, r.sig));
+    const s = migrateStore(fromDB);
+    if(s.version !== fromDB.version) saveStore(s);
+    return s;
+  }
+
+  // first run on IndexedDB: carry over the localStorage store, then free its quota
+  const s = migrateStore(safeJSONParse(legacy, null));
+  storageReady = true;
+  if(await saveStore(s) && legacy) localStorage.removeItem(STORE_KEY); // only once it is safely in IndexedDB
+  navigator.storage?.persist?.().catch(()=>{});
   return s;
 }
 
 function saveStore(store){
-  localStorage.setItem(STORE_KEY, JSON.stringify(store));
+  // resolves true once the store is on disk, false if the write failed
+  if(!storageReady || !db) dataVersion++; // no row diff to tell what changed: drop the derived-data indexes
+  if(!storageReady) return Promise.resolve(false); // nothing loaded yet, don't clobber it
+  if(!db){
+    try{ localStorage.setItem(STORE_KEY, JSON.stringify(store)); }
+    catch { toast("Storage is full. Export a backup."); return Promise.resolve(false); }
+    return Promise.resolve(true);
+  }
+
+  // only write rows that changed since the last save, and delete the ones that are gone
+  const next = new Map(storeRows(store).map(r => [`${r.name}/${r.key}`, r]));
+  const puts = Array.from(next.entries()).filter(([id, r]) => persisted.get(id) !== r.sig);
+  const dels = Array.from(persisted.keys()).filter(id => !next.has(id));
+  if(!puts.length && !dels.length) return Promise.resolve(true);
+  if([...puts.map(([id]) => id), ...dels].some(id => DERIVED_FROM.test(id))) dataVersion++;
+  snapshotDaily(store); // the store being saved: during loadStore() the global is still empty
+
+  const before = new Map([...puts.map(([id]) => id), ...dels].map(id => [id, persisted.get(id)]));
+  const tx = db.transaction(DB_STORES, "readwrite");
+  puts.forEach(([id, r]) => { tx.objectStore(r.name).put(r.value); persisted.set(id, r.sig); });
+  dels.forEach(id => {
+    const slash = id.indexOf("/");
+    tx.objectStore(id.slice(0, slash)).delete(id.slice(slash + 1));
+    persisted.delete(id);
+  });
+  return new Promise((res)=>{
+    tx.oncomplete = ()=> res(true);
+    tx.onabort = ()=>{ // a failed put or delete aborts the whole transaction
+      // nothing in it landed: put back what was on disk so the next save retries its puts and deletes
+      before.forEach((sig, id) => (sig === undefined ? persisted.delete(id) : persisted.set(id, sig)));
+      toast("Could not save data");
+      res(false);
+    };
+  });
 }
 
-let store = loadStore();
+let store = defaultStore();
 
 // ---------- Modal ----------
 const modal = {
+  onClose: null, // set after open() to clean up (e.g. release a video)
   open(title, bodyHTML, actionsHTML=""){
+    modal.onClose = null;
     $("#modalTitle").textContent = title;
     $("#modalBody").innerHTML = bodyHTML;
     $("#modalActions").innerHTML = actionsHTML;
@@ -93,6 +364,9 @@ const modal = {
   close(){
     $("#modalBackdrop").classList.add("hidden");
     $("#modalActions").innerHTML = "";
+    const done = modal.onClose;
+    modal.onClose = null;
+    done?.();
   }
 };
 
@@ -105,12 +379,26 @@ $("#helpBtn").addEventListener("click", ()=>{
   modal.open(
     "How this app works",
     `
-      <p><strong>Dogs</strong>: Add your dogs (optionally with a photo). </p>
-      <p><strong>Record</strong>: Pick a dog + distance, then use the timer (or enter time manually). Save the run.</p>
-      <p><strong>Rank</strong>: Leaderboard is based on each dog's best speed (PB). 🏆</p>
-      <p><strong>Charts</strong>: View speed history per dog and all runs combined.</p>
+      <p><strong>Dogs</strong>: Add your dogs (optionally with a photo and birthdate). Tap a dog for its profile: age, runs per sport, PBs, consistency and season-on-season progress.</p>
+      <p><strong>Health log</strong>: On a dog's profile, log weigh-ins, body condition, vet visits, injuries, medication and heat cycles. Injuries, medication and heat cycles have a start and end date (leave the end blank while ongoing). They're included in backups.</p>
+      <p><strong>Record</strong>: Pick a dog + distance, then use the timer (or enter time manually). Tap Split at each mark (every 50m by default, see Settings) to see where the dog slows down. Save the run. Tap Details on a run to see or edit it (dog, sport, distance, time, date, notes); "All runs" pages through every run.</p>
+      <p><strong>Hands-free start</strong>: Under "Start with" pick a countdown (beeps, then the clock starts on the long beep) or a sound trigger (the microphone starts the clock on a whistle or clap, and can stop it too). Each run remembers how it was started, and the dog's profile compares mean times by start method.</p>
+      <p><strong>Video timing</strong>: "Time from video" loads a clip of the run. Step frame by frame, mark the start and finish frames, and the time is worked out from the video (to ±1 frame). Those runs are marked 🎬.</p>
+      <p><strong>GPS</strong>: Tick "Track with GPS" on Record for lure and free runs. The phone logs a track while the timer runs; the measured length replaces the picked distance, and you get average and peak speed. "Import GPX" loads a track recorded elsewhere (time and distance come from the file). Tap Details on a run to see its track.</p>
+      <p><strong>Paired timing</strong>: For a start and finish line one phone can't see both of, use two phones on the same Wi-Fi or hotspot. On Record, tap "This is the finish" on one and "This is the start" on the other, then swap the codes shown: scan the QR code with the other phone, or copy/paste or share the text. The clocks sync automatically; starting the timer on the start phone (tap, countdown or sound) starts it on the finish phone, where you tap Stop and save the run.</p>
+      <p><strong>Sports</strong>: Each sport (Settings → Sports) picks what a run captures — time, distance, faults, height class, points — and how PBs and the leaderboard rank it. Agility ranks by fewest faults, then time; Flyball by course time.</p>
+      <p><strong>Sessions</strong>: Start a session on Record to group an outing's runs with location, weather, surface and a warm-up/rest log. Pick a training plan (Settings) to be stepped through each rep with a rest countdown; End session shows planned vs done.</p>
+      <p><strong>Events</strong>: On Record, create an event with a running order and heats. After each saved run the next dog is queued up; placings show on Rank.</p>
+      <p><strong>Workload</strong>: Each dog's profile shows a 12-week heatmap and weekly/monthly load. You get a ⚠ when this week's load spikes above 1.5× the 4-week average, or after 7 days in a row without rest.</p>
+      <p><strong>PBs</strong>: Each dog has a PB per sport + distance (+ height class) 🏆, plus an overall top speed ⚡.</p>
+      <p><strong>Rank</strong>: Leaderboard is based on each dog's top speed. Filter by sport, distance, breed or date range for separate standings.</p>
+      <p><strong>Units</strong>: Settings switches speeds between km/h, mph, m/s and pace (seconds per 100), and distances between metres and yards. Runs are always stored in metres, so switching never changes your data.</p>
+      <p><strong>Charts</strong>: Speed over time on a date axis with a moving-average trend. Tick several dogs to overlay them, filter by sport or distance, and tap a point to see the run. Health log entries are shaded behind the lines so you can spot dips around injuries.</p>
       <h3>Tips</h3>
-      <p>• If you update the app and it looks “stuck”, open in a Private tab once (Safari cache fix).</p>
+      <p>• A running timer keeps going if you switch tabs or the app reloads; the ⏱ in the header shows it and takes you back to Record.</p>
+      <p>• The app works offline once it has loaded. When a new version is ready, a banner offers to reload; your data stays on the device.</p>
+      <p>• Deleted dogs and runs (and factory resets) go to Settings → Trash for 30 days. Tap Undo on the message that pops up to bring them straight back.</p>
+      <p>• The app also keeps its own daily snapshots (Settings → Snapshots), and one before every import or factory reset. Compare one with your data now, or restore it.</p>
       <p>• Export data in Settings before big changes.</p>
     `,
     `<button class="btn primary" type="button" id="okHelp">Got it</button>`
@@ -120,45 +408,350 @@ $("#helpBtn").addEventListener("click", ()=>{
 
 // ---------- Tabs ----------
 function setTab(tab){
+  // a countdown or an open microphone belongs to the Record tab; a running timer carries on
+  if(tab !== "record") stopCue();
   store.activeTab = tab;
   saveStore(store);
   $$(".tab").forEach(b => b.classList.toggle("active", b.dataset.tab === tab));
   render();
 }
 $$(".tab").forEach(btn => btn.addEventListener("click", ()=> setTab(btn.dataset.tab)));
-setTab(store.activeTab || "dogs"); // initial
+
+// ---------- Sports ----------
+function defaultSports(distanceM=100){
+  return [
+    { name:"Sprint", defaultDistanceM:distanceM, fields:["time","distance"], rank:"time" },
+    { name:"Agility", defaultDistanceM:distanceM, rank:"faults", faultPoints:5, heightClasses:["S","M","I","L"],
+      fields:["time","distance","faults","refusals","penaltySec","eliminated","qualified","heightClass"] },
+    { name:"Lure", defaultDistanceM:distanceM, fields:["time","distance"], rank:"time" },
+    { name:"Flyball", defaultDistanceM:distanceM, rank:"time", faultPoints:0,
+      fields:["time","distance","faults","penaltySec","eliminated","qualified"] },
+    { name:"Training", defaultDistanceM:distanceM, fields:["time","distance"], rank:"time" }
+  ];
+}
+
+function sportNames(){ return store.sports.map(s => s.name); }
+
+function sportDef(name){
+  // runs can outlive their sport: treat unknown ones as plain timed sports
+  return store.sports.find(s => s.name === name)
+    || { name, defaultDistanceM: store.settings.defaultDistanceM, fields:["time","distance"], rank:"time" };
+}
+
+function hasField(sport, field){ return sportDef(sport).fields.includes(field); }
+
+function isScored(sport){ return SCORE_FIELDS.some(f => hasField(sport, f)); }
+
+function courseTimeMs(run){
+  // raw time plus any penalty seconds the judge added
+  return run.timeMs + (run.score?.penaltySec || 0) * 1000;
+}
+
+function faultTotal(run){
+  if(!run.score) return 0;
+  return (sportDef(run.sport).faultPoints ?? 5) * ((run.score.faults || 0) + (run.score.refusals || 0));
+}
+
+function isEliminated(run){ return !!run.score?.eliminated; }
+
+function compareRuns(a, b){
+  // < 0 when a is the better result under a's sport ranking; eliminated runs always lose
+  if(isEliminated(a) !== isEliminated(b)) return isEliminated(a) ? 1 : -1;
+  const rank = sportDef(a.sport).rank;
+  if(rank === "speed") return b.speedKmh - a.speedKmh;
+  if(rank === "faults" && faultTotal(a) !== faultTotal(b)) return faultTotal(a) - faultTotal(b);
+  if(rank === "points" && (a.score?.points || 0) !== (b.score?.points || 0)) return (b.score?.points || 0) - (a.score?.points || 0);
+  return courseTimeMs(a) - courseTimeMs(b);
+}
+
+function resultMetric(run){
+  // the number a sport is ranked on, ready to show
+  const rank = sportDef(run.sport).rank;
+  if(rank === "speed") return speedText(run.speedKmh);
+  if(rank === "points") return `${run.score?.points || 0} pts`;
+  return run.timeMs ? formatTime(courseTimeMs(run)) : "—";
+}
+
+function autoQualified(sport, score){
+  if(score.eliminated) return false;
+  return sportDef(sport).rank !== "faults" || faultTotal({ sport, score }) === 0;
+}
+
+function scoreSummary(run){
+  const sc = run.score;
+  const cls = run.heightClass ? `${run.heightClass} • ` : "";
+  if(!sc) return run.heightClass || "";
+  if(sc.eliminated) return `${cls}E`;
+  const parts = [];
+  if(sc.points != null && hasField(run.sport, "points")) parts.push(`${sc.points} pts`);
+  if(sc.faults) parts.push(`${sc.faults}F`);
+  if(sc.refusals) parts.push(`${sc.refusals}R`);
+  if(sc.penaltySec) parts.push(`+${sc.penaltySec}s`);
+  if(!parts.length) parts.push("Clean");
+  if(sc.qualified) parts.push("Q");
+  return cls + parts.join(" • ");
+}
+
+
+function sportFieldsHTML(sport, run=null){
+  // run prefills the fields when editing
+  const def = sportDef(sport);
+  const has = (f) => def.fields.includes(f);
+  const sc = run?.score || {};
+  if(!isScored(sport) && !has("heightClass")) return "";
+  return `
+    <div class="row wrap filters">
+      ${has("heightClass") ? `
+        <label>Height class
+          <select id="scHeightClass">
+            ${(def.heightClasses || []).map(c => `<option ${c===run?.heightClass?'selected':''}>${escapeHTML(c)}</option>`).join("")}
+          </select>
+        </label>
+      ` : ""}
+      ${has("points") ? `<label>Points <input id="scPoints" type="number" step="0.5" value="${sc.points ?? 0}" inputmode="decimal"></label>` : ""}
+      ${has("faults") ? `<label>Faults <input id="scFaults" type="number" min="0" step="1" value="${sc.faults ?? 0}" inputmode="numeric"></label>` : ""}
+      ${has("refusals") ? `<label>Refusals <input id="scRefusals" type="number" min="0" step="1" value="${sc.refusals ?? 0}" inputmode="numeric"></label>` : ""}
+      ${has("penaltySec") ? `<label>Penalty (s) <input id="scPenalty" type="number" min="0" step="0.5" value="${sc.penaltySec ?? 0}" inputmode="decimal"></label>` : ""}
+    </div>
+    ${has("eliminated") || has("qualified") ? `
+      <div class="row wrap" style="margin-top:8px;">
+        ${has("eliminated") ? `<label class="check"><input id="scElim" type="checkbox" ${sc.eliminated?'checked':''}> Eliminated / DQ</label>` : ""}
+        ${has("qualified") ? `<label class="check"><input id="scQualified" type="checkbox" ${(sc.qualified ?? true) ? 'checked' : ''}> Qualifying</label>` : ""}
+      </div>
+    ` : ""}
+  `;
+}
+
+function readScore(sport, root=document){
+  // null for sports that capture no result fields besides time/distance; root scopes the lookup (e.g. a modal)
+  if(!isScored(sport)) return null;
+  const num = (sel) => Math.max(0, parseFloat($(sel, root)?.value) || 0);
+  const score = {
+    faults: Math.round(num("#scFaults")),
+    refusals: Math.round(num("#scRefusals")),
+    penaltySec: num("#scPenalty"),
+    eliminated: !!$("#scElim", root)?.checked
+  };
+  if(hasField(sport, "points")) score.points = parseFloat($("#scPoints", root)?.value) || 0;
+  score.qualified = $("#scQualified", root) ? $("#scQualified", root).checked && !score.eliminated : autoQualified(sport, score);
+  return score;
+}
+
+function openSportEditor(existing=null){
+  const isEdit = !!existing;
+  const sp = existing || { name:"", defaultDistanceM: store.settings.defaultDistanceM, fields:["time","distance"], rank:"time", faultPoints:5, heightClasses:[] };
+
+  modal.open(
+    isEdit ? `Edit ${sp.name}` : "Add sport",
+    `
+      <form class="form" id="sportForm">
+        <label>Sport name
+          <input id="spName" type="text" value="${escapeAttr(sp.name)}" placeholder="e.g., Hoopers" required>
+        </label>
+        <div class="row wrap filters">
+          <label>Default distance (${distUnit()})
+            <input id="spDistance" type="number" min="1" step="any" value="${sp.defaultDistanceM ? round(toDistUnit(sp.defaultDistanceM), 1) : ""}">
+          </label>
+          <label>PB &amp; ranking
+            <select id="spRank">
+              ${Object.entries(SPORT_RANKS).map(([k, label]) => `<option value="${k}" ${k===sp.rank?'selected':''}>${label}</option>`).join("")}
+            </select>
+          </label>
+        </div>
+        <div class="small-note">Each run captures</div>
+        <div class="row wrap">
+          ${Object.entries(SPORT_FIELDS).map(([k, label]) => `
+            <label class="check"><input type="checkbox" data-field="${k}" ${sp.fields.includes(k)?'checked':''}> ${label}</label>
+          `).join("")}
+        </div>
+        <div class="row wrap filters">
+          <label>Penalty points per fault/refusal
+            <input id="spFaultPoints" type="number" min="0" step="1" value="${sp.faultPoints ?? 5}">
+          </label>
+          <label>Height classes (comma separated)
+            <input id="spClasses" type="text" value="${escapeAttr((sp.heightClasses || []).join(", "))}" placeholder="e.g., S, M, I, L">
+          </label>
+        </div>
+        <div class="row wrap">
+          <button class="btn primary" type="submit">${isEdit ? "Save changes" : "Add sport"}</button>
+          ${isEdit ? `<button class="btn danger" type="button" id="deleteSportBtn">Delete sport</button>` : ""}
+        </div>
+        <p class="small-note">Runs already recorded keep their values when you change fields.</p>
+      </form>
+    `,
+    `<button class="btn ghost" type="button" id="cancelSport">Cancel</button>`
+  );
+
+  $("#cancelSport").addEventListener("click", modal.close);
+
+  $("#deleteSportBtn")?.addEventListener("click", ()=>{
+    if(store.sports.length < 2){ toast("Keep at least one sport"); return; }
+    const used = store.runs.filter(r => r.sport === sp.name).length;
+    if(!confirm(`Delete ${sp.name}?${used ? ` Its ${used} runs stay in the history.` : ""}`)) return;
+    store.sports = store.sports.filter(s => s.name !== sp.name);
+    if(store.settings.defaultSport === sp.name) store.settings.defaultSport = store.sports[0].name;
+    saveStore(store);
+    modal.close();
+    render();
+  });
+
+  $("#sportForm").addEventListener("submit", (e)=>{
+    e.preventDefault();
+    const name = ($("#spName").value||"").trim();
+    if(!name) return;
+    if(store.sports.some(s => s !== existing && s.name.toLowerCase() === name.toLowerCase())){ toast(`${name} already exists`); return; }
+    const fields = $$("#sportForm [data-field]").filter(x => x.checked).map(x => x.dataset.field);
+    if(!fields.length){ toast("Pick at least one field"); return; }
+    const rank = $("#spRank").value;
+    if((rank === "time" || rank === "speed") && !fields.includes("time")){ toast("Ranking by time needs the Time field"); return; }
+    if(rank === "speed" && !fields.includes("distance")){ toast("Ranking by speed needs the Distance field"); return; }
+    if(rank === "faults" && !fields.includes("faults")){ toast("Ranking by faults needs the Faults field"); return; }
+    if(rank === "points" && !fields.includes("points")){ toast("Ranking by points needs the Points field"); return; }
+
+    const updated = {
+      name,
+      defaultDistanceM: distInputM(parseFloat($("#spDistance").value) || 0, [sp.defaultDistanceM, ...store.distances]),
+      fields,
+      rank,
+      faultPoints: Math.max(0, parseInt($("#spFaultPoints").value, 10) || 0),
+      heightClasses: ($("#spClasses").value||"").split(",").map(x => x.trim()).filter(Boolean)
+    };
+
+    if(isEdit){
+      store.sports = store.sports.map(s => (s === existing ? updated : s));
+      if(name !== sp.name){
+        // sports are referenced by name: carry the rename through
+        store.runs = store.runs.map(r => (r.sport === sp.name ? { ...r, sport: name } : r));
+        store.events = store.events.map(ev => (ev.sport === sp.name ? { ...ev, sport: name } : ev));
+        if(store.settings.defaultSport === sp.name) store.settings.defaultSport = name;
+        if(store.settings.rankFilter?.sport === sp.name) store.settings.rankFilter.sport = name;
+        if(store.settings.chartFilter?.sport === sp.name) store.settings.chartFilter.sport = name;
+        store.plans = store.plans.map(p => (p.sport === sp.name ? { ...p, sport: name } : p));
+      }
+    } else {
+      store.sports.push(updated);
+    }
+    saveStore(store);
+    modal.close();
+    render();
+  });
+}
 
 // ---------- Derived data ----------
+// Indexes over dogs and runs, built once per data change instead of on every call: a dog list or
+// a timer tick asks for PBs many times. They're dropped when
+//  - saveStore() writes a dogs, photos or runs row, or the sports list (rankings decide PBs);
+//    so any code that edits a run, dog or sport in place must saveStore() before the next render,
+//  - store.runs or store.dogs is replaced outright (imports, restores, factory reset).
+// Tab switches, filters and other settings leave them alone.
+// The arrays and maps handed out are shared, so callers copy before sorting or mutating.
+const DERIVED_FROM = /^(dogs|photos|runs)\/|^settings\/sports$/; // saveStore() row ids
+let dataVersion = 0;
+let derived = null;
+
+function derivedData(){
+  if(derived && derived.version === dataVersion && derived.runs === store.runs && derived.dogs === store.dogs) return derived;
+  const byDog = new Map();
+  store.runs.slice().sort((a,b)=> a.createdAt.localeCompare(b.createdAt)).forEach(r => {
+    if(!byDog.has(r.dogId)) byDog.set(r.dogId, []);
+    byDog.get(r.dogId).push(r);
+  });
+  derived = {
+    version: dataVersion, runs: store.runs, dogs: store.dogs,
+    dogMap: new Map(store.dogs.map(d => [d.id, d])),
+    byDog, pbs: new Map(), best: new Map(), workload: new Map() // filled per dog on first use
+  };
+  return derived;
+}
+
 function dogsById(){
-  const map = new Map();
-  store.dogs.forEach(d => map.set(d.id, d));
-  return map;
+  return derivedData().dogMap;
 }
 
 function runsForDog(dogId){
-  return store.runs.filter(r => r.dogId === dogId).sort((a,b)=> a.createdAt.localeCompare(b.createdAt));
+  return derivedData().byDog.get(dogId) || [];
 }
 
 function bestRunForDog(dogId){
-  const rr = runsForDog(dogId);
-  if(!rr.length) return null;
-  return rr.reduce((best, r) => (!best || r.speedKmh > best.speedKmh ? r : best), null);
+  // top speed across every sport and distance
+  const d = derivedData();
+  if(!d.best.has(dogId)){
+    const rr = runsForDog(dogId).filter(r => !isEliminated(r) && r.speedKmh > 0);
+    d.best.set(dogId, rr.reduce((best, r) => (!best || r.speedKmh > best.speedKmh ? r : best), null));
+  }
+  return d.best.get(dogId);
 }
 
-function leaderboard(){
-  const rows = store.dogs.map(d => {
-    const pb = bestRunForDog(d.id);
-    return {
-      dog: d,
-      pb
-    };
-  }).filter(x => x.pb).sort((a,b)=> b.pb.speedKmh - a.pb.speedKmh);
+function pbKey(sport, distanceM, heightClass=""){ return `${sport}|${distanceM}|${heightClass}`; }
+
+function personalBests(dogId){
+  // best result per sport + distance (+ height class) under the sport's ranking; earlier run wins a tie
+  const d = derivedData();
+  if(d.pbs.has(dogId)) return d.pbs.get(dogId);
+  const map = new Map();
+  runsForDog(dogId).filter(r => !isEliminated(r)).forEach(r => {
+    const key = pbKey(r.sport, r.distanceM, r.heightClass);
+    const cur = map.get(key);
+    if(!cur || compareRuns(r, cur) < 0) map.set(key, r);
+  });
+  d.pbs.set(dogId, map);
+  return map;
+}
+
+function runSegments(run){
+  // splits are cumulative marks {atM, timeMs}; the finish closes the last segment
+  const marks = (run.splits || []).filter(s => s.atM < run.distanceM && s.timeMs < run.timeMs);
+  let prev = { atM: 0, timeMs: 0 };
+  return [...marks, { atM: run.distanceM, timeMs: run.timeMs }].map(p => {
+    const seg = { fromM: prev.atM, toM: p.atM, ms: p.timeMs - prev.timeMs };
+    seg.speedKmh = speedKmh(seg.toM - seg.fromM, seg.ms);
+    prev = p;
+    return seg;
+  });
+}
+
+function segmentBadges(segs){
+  if(!segs.length) return "";
+  const slowest = segs.length > 1 ? segs.reduce((a,b)=> (b.speedKmh < a.speedKmh ? b : a), segs[0]) : null;
+  return segs.map(s => `
+    <span class="badge ${s===slowest ? 'slow' : ''}">${round(toDistUnit(s.fromM),1)}–${distLabel(s.toM)} <strong>${(s.ms/1000).toFixed(2)}s</strong> • ${speedText(s.speedKmh,1)}</span>
+  `).join("");
+}
+
+function filterRuns(runs, f={}){
+  const dogs = dogsById();
+  return runs.filter(r => {
+    if(f.sport && r.sport !== f.sport) return false;
+    if(f.heightClass && r.heightClass !== f.heightClass) return false;
+    if(f.distanceM && r.distanceM !== f.distanceM) return false;
+    if(f.breed && (dogs.get(r.dogId)?.breed || "") !== f.breed) return false;
+    if(f.from && localDay(r.createdAt) < f.from) return false;
+    if(f.to && localDay(r.createdAt) > f.to) return false;
+    return true;
+  });
+}
+
+function leaderboard(filter={}){
+  // best run per dog within the filtered slice: by the sport's ranking when one sport
+  // is picked, otherwise by speed (same distance => same order as fastest time)
+  const better = filter.sport
+    ? (a, b) => compareRuns(a, b) < 0
+    : (a, b) => a.speedKmh > b.speedKmh;
+  const best = new Map();
+  filterRuns(store.runs, filter).filter(r => !isEliminated(r) && (filter.sport || r.speedKmh > 0)).forEach(r => {
+    const cur = best.get(r.dogId);
+    if(!cur || better(r, cur)) best.set(r.dogId, r);
+  });
+  const rows = store.dogs.filter(d => best.has(d.id)).map(d => ({
+    dog: d,
+    pb: best.get(d.id)
+  })).sort((a,b)=> (better(a.pb, b.pb) ? -1 : better(b.pb, a.pb) ? 1 : 0));
   return rows;
 }
 
 // ---------- Photo handling ----------
 async function fileToDataURL(file, maxSize=600){
-  // downscale image to keep localStorage reasonable
+  // downscale image to keep storage reasonable
   const img = new Image();
   const dataURL = await new Promise((res, rej)=>{
     const reader = new FileReader();
@@ -190,15 +783,17 @@ function initials(name){
 }
 
 // ---------- Rendering ----------
-function render(){
-  const app = $("#app");
-  const tab = store.activeTab;
-
-  // subtitle
+function renderSubtitle(){
   const dogCount = store.dogs.length;
   const runCount = store.runs.length;
   $("#subtitle").textContent = `${dogCount} dog${dogCount!==1?'s':''} • ${runCount} run${runCount!==1?'s':''}`;
+}
+
+function render(){
+  const app = $("#app");
+  const tab = store.activeTab;
 
+  renderSubtitle();
   if(tab === "dogs") app.innerHTML = viewDogs();
   if(tab === "record") app.innerHTML = viewRecord();
   if(tab === "leaderboard") app.innerHTML = viewLeaderboard();
@@ -206,9 +801,12 @@ function render(){
   if(tab === "settings") app.innerHTML = viewSettings();
 
   wire(tab);
+  showTimerIndicator();
 }
 
 function viewDogs(){
+  const profile = store.dogs.find(d => d.id === store.settings.profileDogId);
+  if(profile) return viewDogProfile(profile);
   return `
     <section class="card">
       <div class="row space-between wrap">
@@ -242,10 +840,19 @@ function viewDogs(){
 }
 
 function dogCard(d){
-  const pb = bestRunForDog(d.id);
-  const pbBadge = pb ? `
-    <span class="badge">🏆 PB <strong>${round(pb.speedKmh,2)} km/h</strong> • ${pb.distanceM}m • ${formatTime(pb.timeMs)}</span>
+  const top = bestRunForDog(d.id);
+  const pbs = Array.from(personalBests(d.id).values())
+    .sort((a,b)=> a.sport.localeCompare(b.sport) || a.distanceM - b.distanceM);
+  const pbBadge = top || pbs.length ? `
+    ${top ? `<span class="badge">⚡ Top speed <strong>${speedText(top.speedKmh)}</strong> • ${distLabel(top.distanceM)}</span>` : ""}
+    ${pbs.map(r => `
+      <span class="badge">🏆 ${escapeHTML([r.sport, distLabel(r.distanceM), r.heightClass].filter(Boolean).join(" "))} <strong>${resultMetric(r)}</strong></span>
+    `).join("")}
   ` : `<span class="badge">No runs yet</span>`;
+  const warnings = [
+    ...ongoingHealth(d.id, "injury").map(x => `<span class="badge warn">🩹 ${escapeHTML(x.text || "Injured")} since ${x.date}</span>`),
+    ...workload(d.id).warnings.map(w => `<span class="badge warn">⚠ ${escapeHTML(w)}</span>`)
+  ].join("");
 
   const avatar = d.photoDataUrl
     ? `<div class="avatar"><img alt="${d.name}" src="${d.photoDataUrl}"></div>`
@@ -259,7 +866,7 @@ function dogCard(d){
   return `
     <li class="item" data-dogid="${d.id}">
       <div class="dog-top">
-        <div class="dog-main">
+        <div class="dog-main" data-action="openDog">
           ${avatar}
           <div style="min-width:0;">
             <div class="dog-name">${escapeHTML(d.name)}</div>
@@ -267,68 +874,113 @@ function dogCard(d){
           </div>
         </div>
         <div class="row wrap" style="justify-content:flex-end;">
+          <button class="btn ghost" type="button" data-action="openDog">Stats</button>
           <button class="btn ghost" type="button" data-action="selectDog">Select</button>
           <button class="btn ghost" type="button" data-action="editDog">Edit</button>
           <button class="btn danger" type="button" data-action="deleteDog">Delete</button>
         </div>
       </div>
-      <div class="badges">${pbBadge}</div>
+      <div class="badges">${warnings}${pbBadge}</div>
     </li>
   `;
 }
 
+function distanceOptionsHTML(list, selected){
+  return Array.from(new Set([...list, selected].filter(Boolean)))
+    .sort((a,b)=>a-b)
+    .map(d => `<option value="${d}" ${d===selected?'selected':''}>${distLabel(d, " ")}</option>`)
+    .join("");
+}
+
+function sportOptionsHTML(names, selected){
+  return names.map(s => `<option value="${escapeAttr(s)}" ${s===selected?'selected':''}>${escapeHTML(s)}</option>`).join("");
+}
+
+function sportFormClasses(sport){
+  // hides timer and/or distance controls for sports that don't capture them
+  return ["form", !hasField(sport, "time") && "no-time", !hasField(sport, "distance") && "no-distance"].filter(Boolean).join(" ");
+}
+
 function viewRecord(){
+  if(store.settings.historyOpen) return viewHistory();
   const activeDogId = store.settings.activeDogId || (store.dogs[0]?.id || "");
   const activeDog = store.dogs.find(d=> d.id === activeDogId) || null;
-
-  const distOptions = store.distances
-    .slice()
-    .sort((a,b)=>a-b)
-    .map(d => `<option value="${d}" ${d===store.settings.defaultDistanceM?'selected':''}>${d} m</option>`)
-    .join("");
+  const ev = activeEvent(); // an event fixes distance and sport
+  const session = activeSession();
+  const rep = !ev && session ? nextRep(session, activeDogId) : null; // a training plan suggests them
+  const plan = rep && sessionPlan(session);
+  const sport = ev ? ev.sport
+    : plan && sportNames().includes(plan.sport) ? plan.sport
+    : sportNames().includes(store.settings.defaultSport) ? store.settings.defaultSport : sportNames()[0];
+  const distOptions = ev
+    ? distanceOptionsHTML([], ev.distanceM)
+    : distanceOptionsHTML(store.distances, rep?.distanceM || sportDef(sport).defaultDistanceM || store.settings.defaultDistanceM);
 
   return `
+    ${store.dogs.length ? viewEventCard() : ""}
+    ${store.dogs.length ? viewSessionCard() : ""}
+    ${store.dogs.length ? viewPairCard() : ""}
+
     <section class="card">
       <h2>Record a run</h2>
       ${store.dogs.length ? `
-        <div class="form">
+        <div class="${sportFormClasses(sport)}" id="recordForm">
           <label>
             Dog
             <select id="recordDog">
               ${store.dogs.map(d => `<option value="${d.id}" ${d.id===activeDogId?'selected':''}>${escapeHTML(d.name)}</option>`).join("")}
             </select>
           </label>
+          ${activeDog ? workload(activeDog.id).warnings.map(w => `<div class="warning">⚠ ${escapeHTML(w)}</div>`).join("") : ""}
 
           <div class="row wrap">
-            <label style="flex:1; min-width:160px;">
+            <label class="distance-only" style="flex:1; min-width:160px;">
               Distance
-              <select id="recordDistance">${distOptions}</select>
+              <select id="recordDistance" ${ev ? "disabled" : ""}>${distOptions}</select>
             </label>
 
             <label style="flex:1; min-width:160px;">
               Sport
-              <select id="recordSport">
-                ${["Sprint","Agility","Lure","Flyball","Training"].map(s => `<option ${s===store.settings.defaultSport?'selected':''}>${s}</option>`).join("")}
+              <select id="recordSport" ${ev ? "disabled" : ""}>
+                ${sportOptionsHTML(ev ? [ev.sport] : sportNames(), sport)}
               </select>
             </label>
           </div>
 
+          <div id="scoringArea">${sportFieldsHTML(sport)}</div>
+
           <label>
             Notes (optional)
             <input id="recordNotes" type="text" placeholder="e.g., windy day, great start">
           </label>
 
           <div class="item">
-            <div class="timer" id="timerDisplay">00:00.00</div>
-            <div class="timer-sub" id="timerSub">Tap Start. Tap Stop. Save the run.</div>
+            <div class="timer time-only" id="timerDisplay">${formatTime(timer.elapsed)}</div>
+            <div class="timer-sub time-only" id="timerSub">Tap Start. Tap Stop. Save the run.</div>
+
+            <label class="time-only" style="margin-top:12px;">
+              Start with
+              <select id="startMethod">
+                ${["tap", "countdown", "audio"].map(k => `<option value="${k}" ${k===store.settings.startMethod?'selected':''}>${START_METHODS[k]}</option>`).join("")}
+              </select>
+            </label>
 
             <div class="row wrap" style="margin-top:12px;">
-              <button class="btn primary" type="button" id="startStopBtn">Start</button>
-              <button class="btn ghost" type="button" id="resetBtn">Reset</button>
+              <button class="btn primary time-only" type="button" id="startStopBtn">${timer.running ? "Stop" : cue.mode ? "Cancel" : "Start"}</button>
+              <button class="btn time-only distance-only" type="button" id="splitBtn">Split</button>
+              <button class="btn ghost time-only" type="button" id="resetBtn">Reset</button>
               <button class="btn" type="button" id="saveRunBtn">Save run</button>
-              <button class="btn ghost" type="button" id="manualBtn">Enter time manually</button>
+              <button class="btn ghost time-only" type="button" id="manualBtn">Enter time manually</button>
+              <button class="btn ghost time-only" type="button" id="videoBtn">Time from video</button>
+              <button class="btn ghost time-only distance-only" type="button" id="gpxBtn">Import GPX</button>
+              <input id="gpxInput" type="file" accept=".gpx,application/gpx+xml" class="hidden">
             </div>
 
+            <label class="check time-only distance-only" style="margin-top:10px;">
+              <input type="checkbox" id="gpsMode" ${store.settings.gpsMode?'checked':''}> Track with GPS (measures distance, average and peak speed)
+            </label>
+            <div class="small-note" id="gpsStatus"></div>
+
             <div class="kpi" id="kpiArea"></div>
           </div>
         </div>
@@ -344,88 +996,182 @@ function viewRecord(){
       <section class="card">
         <div class="row space-between wrap">
           <h2>Recent runs • ${escapeHTML(activeDog.name)}</h2>
-          <button class="btn ghost" type="button" id="clearRunsForDog">Clear runs</button>
-        </div>
-        ${runsForDog(activeDogId).length ? `
-          <table class="table">
-            <thead><tr><th>Date</th><th>Distance</th><th>Time</th><th>Speed</th><th></th></tr></thead>
-            <tbody>
-              ${runsForDog(activeDogId).slice().reverse().slice(0,12).map(r => `
-                <tr data-runid="${r.id}">
-                  <td>${new Date(r.createdAt).toLocaleString()}</td>
-                  <td>${r.distanceM}m</td>
-                  <td>${formatTime(r.timeMs)}</td>
-                  <td>${round(r.speedKmh,2)} km/h</td>
-                  <td><button class="btn ghost" type="button" data-action="deleteRun">Delete</button></td>
-                </tr>
-              `).join("")}
-            </tbody>
-          </table>
-        ` : `
-          <div class="item">
-            <div class="muted">No runs yet for this dog.</div>
+          <div class="row wrap">
+            <button class="btn ghost" type="button" id="openHistory">All runs</button>
+            <button class="btn ghost" type="button" id="clearRunsForDog">Clear runs</button>
           </div>
-        `}
+        </div>
+        <div id="recentRuns">${recentRunsHTML(activeDogId)}</div>
       </section>
     ` : ""}
   `;
 }
 
+function recentRunsHTML(dogId){
+  const runs = runsForDog(dogId);
+  return runs.length ? runTableHTML(runs.slice(-12).reverse()) : `
+    <div class="item">
+      <div class="muted">No runs yet for this dog.</div>
+    </div>
+  `;
+}
+
 function viewLeaderboard(){
-  const rows = leaderboard();
+  const f = { ...defaultStore().settings.rankFilter, ...store.settings.rankFilter };
+  const rows = leaderboard(f);
+  const distances = Array.from(new Set([...store.distances, ...store.runs.map(r=> r.distanceM)])).sort((a,b)=>a-b);
+  const breeds = Array.from(new Set(store.dogs.map(d=> d.breed).filter(Boolean))).sort();
+  const filtered = f.sport || f.distanceM || f.heightClass || f.breed || f.from || f.to;
+  const def = f.sport ? sportDef(f.sport) : null;
+  const classes = def && hasField(f.sport, "heightClass") ? def.heightClasses || [] : [];
+  const ev = store.events.find(e => e.id === store.settings.rankEventId);
+
+  const eventSelect = store.events.length ? `
+    <select id="rankEvent">
+      <option value="">Standings (all runs)</option>
+      ${store.events.map(e => `<option value="${e.id}" ${e.id===ev?.id?'selected':''}>${escapeHTML(e.name)} • ${escapeHTML(e.date)}</option>`).join("")}
+    </select>
+  ` : "";
+
+  if(ev) return `
+    <section class="card">
+      <div class="row space-between wrap">
+        <h2>${escapeHTML(ev.name)}</h2>
+        ${eventSelect}
+      </div>
+      ${viewEventResults(ev)}
+      <p class="small-note">Placed by ${SPORT_RANKS[sportDef(ev.sport).rank].toLowerCase()}, using each dog's best run in the event. Eliminated runs are not placed.</p>
+    </section>
+  `;
+
   return `
     <section class="card">
       <div class="row space-between wrap">
         <h2>Leaderboard</h2>
-        <div class="pill">Sorted by best speed (PB)</div>
+        <div class="row wrap">
+          ${eventSelect}
+          <div class="pill">${filtered ? "Filtered" : "All runs"} • sorted by ${def ? SPORT_RANKS[def.rank].toLowerCase() : "best speed"}</div>
+        </div>
+      </div>
+
+      <div class="row wrap filters">
+        <label>Sport
+          <select id="rankSport">
+            <option value="">All sports</option>
+            ${sportOptionsHTML(sportNames(), f.sport)}
+          </select>
+        </label>
+        ${classes.length ? `
+          <label>Height class
+            <select id="rankHeightClass">
+              <option value="">All classes</option>
+              ${classes.map(c=> `<option value="${escapeAttr(c)}" ${c===f.heightClass?'selected':''}>${escapeHTML(c)}</option>`).join("")}
+            </select>
+          </label>
+        ` : ""}
+        <label>Distance
+          <select id="rankDistance">
+            <option value="0">All distances</option>
+            ${distances.map(d=> `<option value="${d}" ${d===f.distanceM?'selected':''}>${distLabel(d, " ")}</option>`).join("")}
+          </select>
+        </label>
+        <label>Breed
+          <select id="rankBreed">
+            <option value="">All breeds</option>
+            ${breeds.map(b=> `<option value="${escapeAttr(b)}" ${b===f.breed?'selected':''}>${escapeHTML(b)}</option>`).join("")}
+          </select>
+        </label>
+        <label>From
+          <input id="rankFrom" type="date" value="${f.from}">
+        </label>
+        <label>To
+          <input id="rankTo" type="date" value="${f.to}">
+        </label>
       </div>
+      ${filtered ? `<div class="row" style="margin:10px 0;"><button class="btn ghost" type="button" id="rankReset">Clear filters</button></div>` : `<div class="hr"></div>`}
+
       ${rows.length ? `
         <table class="table">
-          <thead><tr><th>#</th><th>Dog</th><th>PB speed</th><th>Distance</th><th>Time</th></tr></thead>
+          <thead><tr><th>#</th><th>Dog</th><th>${def ? RANK_METRIC[def.rank] : "Best speed"}</th><th>Distance</th><th>Time</th><th>${def ? "Result" : "Sport"}</th></tr></thead>
           <tbody>
             ${rows.map((x,i) => `
               <tr>
                 <td><strong>${i+1}</strong></td>
                 <td>${escapeHTML(x.dog.name)} ${i===0 ? " 🥇" : i===1 ? " 🥈" : i===2 ? " 🥉" : ""}</td>
-                <td><strong>${round(x.pb.speedKmh,2)} km/h</strong> 🏆</td>
-                <td>${x.pb.distanceM}m</td>
-                <td>${formatTime(x.pb.timeMs)}</td>
+                <td><strong>${def ? resultMetric(x.pb) : speedText(x.pb.speedKmh)}</strong> 🏆</td>
+                <td>${distLabel(x.pb.distanceM) || "—"}</td>
+                <td>${x.pb.timeMs ? formatTime(x.pb.timeMs) : "—"}</td>
+                <td>${escapeHTML(def ? scoreSummary(x.pb) || "—" : x.pb.sport)}</td>
               </tr>
             `).join("")}
           </tbody>
         </table>
+      ` : filtered ? `
+        <div class="item">
+          <div class="muted"><strong>No runs match these filters.</strong></div>
+          <div class="muted">Widen the date range or clear a filter.</div>
+        </div>
       ` : `
         <div class="item">
           <div class="muted"><strong>No leaderboard yet.</strong></div>
           <div class="muted">Record at least one run for a dog.</div>
         </div>
       `}
-      <p class="small-note">PB trophy is based on highest speed. If you prefer lowest time as PB later, we can switch it.</p>
+      <p class="small-note">Each dog's best run within the filters. Pick a distance to compare like with like. Fastest-time PBs per sport and distance are on each dog's card.</p>
     </section>
   `;
 }
 
+function chartFilter(){
+  const f = { ...defaultStore().settings.chartFilter, ...store.settings.chartFilter };
+  // dogs deleted since the filter was saved drop out; nothing picked = the active dog
+  const ids = f.dogIds.filter(id => store.dogs.some(d => d.id === id));
+  const fallback = store.settings.activeDogId || store.dogs[0]?.id;
+  return { ...f, dogIds: ids.length ? ids : fallback ? [fallback] : [] };
+}
+
 function viewCharts(){
-  const dogId = store.settings.activeDogId || (store.dogs[0]?.id || "");
-  const dog = store.dogs.find(d=> d.id === dogId) || null;
-  const dogRuns = dog ? runsForDog(dogId) : [];
+  const f = chartFilter();
+  const distances = Array.from(new Set(store.runs.map(r=> r.distanceM).filter(Boolean))).sort((a,b)=>a-b);
 
   return `
     <section class="card">
       <div class="row space-between wrap">
         <h2>Charts</h2>
-        <div class="row wrap">
-          <select id="chartDogSelect" ${store.dogs.length ? "" : "disabled"}>
-            ${store.dogs.map(d => `<option value="${d.id}" ${d.id===dogId?'selected':''}>${escapeHTML(d.name)}</option>`).join("")}
-          </select>
-        </div>
+        <div class="pill">Speed over time</div>
       </div>
-      ${dog ? `
-        <div class="small-note">Speed history for <strong>${escapeHTML(dog.name)}</strong></div>
-        <div class="chart-wrap"><canvas id="dogChart" width="900" height="300"></canvas></div>
-        <div class="hr"></div>
-        <div class="small-note">All runs combined (speed)</div>
-        <div class="chart-wrap"><canvas id="allChart" width="900" height="300"></canvas></div>
+      ${store.dogs.length ? `
+        <div class="row wrap" id="chartDogs">
+          ${store.dogs.map(d => `
+            <label class="check"><input type="checkbox" data-dogid="${d.id}" ${f.dogIds.includes(d.id)?'checked':''}> ${escapeHTML(d.name)}</label>
+          `).join("")}
+        </div>
+        <div class="row wrap filters" style="margin-top:10px;">
+          <label>Sport
+            <select id="chartSport">
+              <option value="">All sports</option>
+              ${sportOptionsHTML(sportNames(), f.sport)}
+            </select>
+          </label>
+          <label>Distance
+            <select id="chartDistance">
+              <option value="0">All distances</option>
+              ${distances.map(d=> `<option value="${d}" ${d===f.distanceM?'selected':''}>${distLabel(d, " ")}</option>`).join("")}
+            </select>
+          </label>
+          <label>Trend line
+            <select id="chartTrend">
+              ${[[0,"Off"],[3,"3-run average"],[5,"5-run average"],[10,"10-run average"]].map(([n, label])=> `<option value="${n}" ${n===f.trend?'selected':''}>${label}</option>`).join("")}
+            </select>
+          </label>
+        </div>
+        <label class="check" style="margin-top:10px;"><input type="checkbox" id="chartHealth" ${f.health?'checked':''}> Show injuries, medication, heat cycles and vet visits</label>
+        <div class="chart-wrap" style="margin-top:10px;">
+          <canvas id="speedChart" width="900" height="300"></canvas>
+          <div class="chart-tip hidden" id="chartTip"></div>
+        </div>
+        <div class="legend" id="chartLegend"></div>
+        <p class="small-note">Tick dogs to compare them. The dashed line is the moving average; tap a point for the run.</p>
       ` : `
         <div class="item">
           <div class="muted"><strong>Add a dog first.</strong></div>
@@ -445,17 +1191,55 @@ function viewSettings(){
         <label>
           Default distance
           <select id="defaultDistance">
-            ${store.distances.slice().sort((a,b)=>a-b).map(d=> `<option value="${d}" ${d===store.settings.defaultDistanceM?'selected':''}>${d} m</option>`).join("")}
+            ${distanceOptionsHTML(store.distances, store.settings.defaultDistanceM)}
           </select>
         </label>
 
         <label>
           Default sport
           <select id="defaultSport">
-            ${["Sprint","Agility","Lure","Flyball","Training"].map(s=> `<option ${s===store.settings.defaultSport?'selected':''}>${s}</option>`).join("")}
+            ${sportOptionsHTML(sportNames(), store.settings.defaultSport)}
+          </select>
+        </label>
+
+        <div class="row wrap filters">
+          <label>
+            Speed
+            <select id="unitSpeed">
+              ${Object.entries(SPEED_UNITS).map(([k, label]) => `<option value="${k}" ${k===store.settings.units?'selected':''}>${label}</option>`).join("")}
+            </select>
+          </label>
+          <label>
+            Distances
+            <select id="unitDistance">
+              ${Object.entries(DIST_UNITS).map(([k, label]) => `<option value="${k}" ${k===distUnit()?'selected':''}>${label}</option>`).join("")}
+            </select>
+          </label>
+        </div>
+
+        <label>
+          Split every
+          <select id="splitEvery">
+            ${Array.from(new Set([...[10,20,25,50,100].map(n=> fromDistUnit(n)), store.settings.splitEveryM || 50])).sort((a,b)=>a-b).map(m=> `<option value="${m}" ${m===(store.settings.splitEveryM || 50)?'selected':''}>${distLabel(m, " ")}</option>`).join("")}
           </select>
         </label>
 
+        <div class="row wrap filters">
+          <label>
+            Countdown
+            <select id="countdownS">
+              ${[3,5,10].map(n=> `<option value="${n}" ${n===store.settings.countdownS?'selected':''}>${n} seconds</option>`).join("")}
+            </select>
+          </label>
+          <label>
+            Sound trigger sensitivity
+            <select id="micThreshold">
+              ${MIC_LEVELS.map(([v, label])=> `<option value="${v}" ${v===store.settings.micThreshold?'selected':''}>${label}</option>`).join("")}
+            </select>
+          </label>
+        </div>
+        <label class="check"><input type="checkbox" id="micStop" ${store.settings.micStop?'checked':''}> Sound trigger also stops the clock</label>
+
         <div class="row wrap">
           <button class="btn" type="button" id="manageDistances">Manage distances</button>
           <button class="btn danger" type="button" id="factoryReset">Factory reset</button>
@@ -464,12 +1248,69 @@ function viewSettings(){
 
       <div class="hr"></div>
 
-      <h2>Backup</h2>
-      <div class="row wrap">
+      <h2>Sports</h2>
+      <ul class="list" id="sportList">
+        ${store.sports.map((sp, i) => `
+          <li class="item row space-between">
+            <div>
+              <strong>${escapeHTML(sp.name)}</strong>
+              <div class="muted">${[distLabel(sp.defaultDistanceM), SPORT_RANKS[sp.rank], sp.fields.map(f => SPORT_FIELDS[f]).join(", ")].filter(Boolean).map(escapeHTML).join(" • ")}</div>
+            </div>
+            <button class="btn" type="button" data-sport="${i}">Edit</button>
+          </li>
+        `).join("")}
+      </ul>
+      <div class="row wrap" style="margin-top:10px;">
+        <button class="btn" type="button" id="addSportBtn">Add sport</button>
+      </div>
+      <p class="small-note">Each sport decides what a run captures and how PBs and the leaderboard rank it.</p>
+
+      <div class="hr"></div>
+
+      <h2>Training plans</h2>
+      ${store.plans.length ? `
+        <ul class="list" id="planList">
+          ${store.plans.map(p => `
+            <li class="item row space-between">
+              <div>
+                <strong>${escapeHTML(p.name)}</strong>
+                <div class="muted">${escapeHTML(p.sport)} • ${escapeHTML(planLabel(p))}</div>
+              </div>
+              <button class="btn" type="button" data-plan="${p.id}">Edit</button>
+            </li>
+          `).join("")}
+        </ul>
+      ` : ""}
+      <div class="row wrap" style="margin-top:10px;">
+        <button class="btn" type="button" id="addPlanBtn">New plan</button>
+      </div>
+      <p class="small-note">A plan such as “3×50 m, 2 min rest” steps the Record tab through each rep and counts down the rest in between.</p>
+
+      <div class="hr"></div>
+
+      <h2>Backup</h2>
+      <div class="row wrap">
         <button class="btn primary" type="button" id="exportBtn">Export data</button>
         <button class="btn" type="button" id="importBtn">Import data</button>
       </div>
-      <p class="small-note">Export creates a JSON file you can save in Files. Import restores it.</p>
+      <p class="small-note">Export creates a JSON file you can save in Files. Import checks it first, then merges it with this phone's data or replaces it.</p>
+
+      <div class="hr"></div>
+
+      ${viewSnapshots()}
+
+      <div class="hr"></div>
+
+      <h2>Spreadsheets</h2>
+      <div class="row wrap">
+        <button class="btn" type="button" id="exportCsvBtn">Export runs (CSV)</button>
+        <button class="btn" type="button" id="importCsvBtn">Import runs (CSV)</button>
+      </div>
+      <p class="small-note">One row per run: dog, breed, sport, distance, time, speed, notes, date, splits and each sport’s scoring fields. Distance and speed use the units above. Import lets you pick which column is which.</p>
+
+      <div class="hr"></div>
+
+      ${viewTrash()}
     </section>
   `;
 }
@@ -478,11 +1319,13 @@ function viewSettings(){
 function wire(tab){
   if(tab === "dogs") wireDogs();
   if(tab === "record") wireRecord();
+  if(tab === "leaderboard") wireLeaderboard();
   if(tab === "charts") wireCharts();
   if(tab === "settings") wireSettings();
 }
 
 function wireDogs(){
+  if($("#dogProfile")) return wireDogProfile();
   $("#addDogBtn")?.addEventListener("click", ()=> openDogEditor());
   $("#quickAddVada")?.addEventListener("click", ()=>{
     if(store.dogs.some(d=> d.name.toLowerCase() === "vada")){ toast("Vada already exists"); return; }
@@ -492,22 +1335,26 @@ function wireDogs(){
   });
 
   $("#clearDogsBtn")?.addEventListener("click", ()=>{
-    if(!confirm("Clear ALL dogs and runs?")) return;
-    store.dogs = [];
-    store.runs = [];
-    store.settings.activeDogId = undefined;
+    if(!confirm("Clear ALL dogs, runs and health logs?")) return;
+    const entry = trashDogs("All dogs", store.dogs.map(d => d.id));
     saveStore(store);
     render();
+    undoToast(entry);
   });
 
   $("#dogList")?.addEventListener("click", (e)=>{
     const li = e.target.closest("[data-dogid]");
     if(!li) return;
     const dogId = li.dataset.dogid;
-    const action = e.target.dataset.action;
+    const action = e.target.closest("[data-action]")?.dataset.action;
     const dog = store.dogs.find(d=> d.id === dogId);
     if(!dog) return;
 
+    if(action === "openDog"){
+      store.settings.profileDogId = dogId;
+      saveStore(store);
+      render();
+    }
     if(action === "selectDog"){
       store.settings.activeDogId = dogId;
       saveStore(store);
@@ -518,12 +1365,11 @@ function wireDogs(){
       openDogEditor(dog);
     }
     if(action === "deleteDog"){
-      if(!confirm(`Delete ${dog.name} and all their runs?`)) return;
-      store.dogs = store.dogs.filter(d=> d.id !== dogId);
-      store.runs = store.runs.filter(r=> r.dogId !== dogId);
-      if(store.settings.activeDogId === dogId) store.settings.activeDogId = store.dogs[0]?.id || undefined;
+      if(!confirm(`Delete ${dog.name} with all their runs and health log?`)) return;
+      const entry = trashDogs(dog.name, [dogId]);
       saveStore(store);
       render();
+      undoToast(entry, `Deleted ${dog.name}`);
     }
   });
 }
@@ -545,6 +1391,9 @@ function openDogEditor(existing=null){
         <label>Notes (optional)
           <input id="edNotes" type="text" value="${escapeAttr(dog.notes||"")}" placeholder="e.g., Black & white, loves sprints">
         </label>
+        <label>Birthdate (optional)
+          <input id="edBirthdate" type="date" value="${dog.birthdate||""}" max="${localDay(nowISO())}">
+        </label>
         <label>Photo (optional)
           <input id="edPhoto" type="file" accept="image/*">
         </label>
@@ -577,6 +1426,7 @@ function openDogEditor(existing=null){
     dog.name = name;
     dog.breed = breed;
     dog.notes = notes;
+    dog.birthdate = $("#edBirthdate").value || undefined;
 
     if(file){
       try{
@@ -601,286 +1451,3066 @@ function openDogEditor(existing=null){
   }
 }
 
+// ---------- Dog profile ----------
+function dogAge(birthdate){
+  const b = new Date(`${birthdate}T00:00`);
+  if(!birthdate || Number.isNaN(b.getTime())) return "";
+  const now = new Date();
+  const months = (now.getFullYear() - b.getFullYear()) * 12 + now.getMonth() - b.getMonth() - (now.getDate() < b.getDate() ? 1 : 0);
+  if(months < 0) return "";
+  return months < 24 ? `${months} mo` : `${Math.floor(months/12)} yr${months % 12 ? ` ${months % 12} mo` : ""}`;
+}
 
-// ---------- Record (timer + manual) ----------
-let timer = { running:false, start:0, elapsed:0, raf:0 };
-
-function wireRecord(){
-  const dogSelect = $("#recordDog");
-  const distanceSel = $("#recordDistance");
-  const sportSel = $("#recordSport");
-
-  if(dogSelect){
-    dogSelect.addEventListener("change", ()=>{
-      store.settings.activeDogId = dogSelect.value;
-      saveStore(store);
-      render();
-    });
-  }
+function timeSpread(runs){
+  // standard deviation of course times; cv puts it in proportion to the mean
+  const ts = runs.map(courseTimeMs);
+  const mean = ts.reduce((a,b)=> a + b, 0) / ts.length;
+  const sd = Math.sqrt(ts.reduce((a,t)=> a + (t - mean) ** 2, 0) / ts.length);
+  return { mean, sd, cv: mean ? sd / mean * 100 : 0 };
+}
 
-  $("#startStopBtn")?.addEventListener("click", ()=>{
-    if(!timer.running) startTimer();
-    else stopTimer();
+function seasonTrend(runs){
+  // best result per calendar year; compares the last two seasons, pct > 0 means better
+  const byYear = new Map();
+  runs.forEach(r => {
+    const y = new Date(r.createdAt).getFullYear();
+    const cur = byYear.get(y);
+    if(!cur || compareRuns(r, cur) < 0) byYear.set(y, r);
   });
+  const years = [...byYear.keys()].sort((a,b)=> a - b);
+  if(years.length < 2) return null;
+  const [prevYear, curYear] = years.slice(-2);
+  const prev = byYear.get(prevYear), cur = byYear.get(curYear);
+  const rank = sportDef(cur.sport).rank;
+  const pct = rank === "points" ? ((cur.score?.points || 0) - (prev.score?.points || 0)) / (Math.abs(prev.score?.points) || 1) * 100
+    : rank === "speed" ? (cur.speedKmh - prev.speedKmh) / prev.speedKmh * 100
+    : (courseTimeMs(prev) - courseTimeMs(cur)) / courseTimeMs(prev) * 100;
+  return { prevYear, curYear, prev, cur, pct };
+}
 
-  $("#resetBtn")?.addEventListener("click", ()=>{
-    resetTimer();
-    updateKpi();
+function dogStats(dogId){
+  // one row per PB group (sport + distance + height class) with its PB, spread and season trend
+  const runs = runsForDog(dogId);
+  const pbs = personalBests(dogId);
+  const groups = new Map();
+  runs.filter(r => !isEliminated(r)).forEach(r => {
+    const key = pbKey(r.sport, r.distanceM, r.heightClass);
+    if(!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
   });
+  const rows = Array.from(groups, ([key, rr]) => {
+    const timed = rr.filter(r => r.timeMs > 0);
+    return {
+      pb: pbs.get(key),
+      count: rr.length,
+      spread: timed.length >= 3 ? timeSpread(timed) : null,
+      trend: seasonTrend(rr)
+    };
+  }).filter(x => x.pb).sort((a,b)=> a.pb.sport.localeCompare(b.pb.sport) || a.pb.distanceM - b.pb.distanceM);
+  const perSport = new Map();
+  runs.forEach(r => perSport.set(r.sport, (perSport.get(r.sport) || 0) + 1));
+  return { runs, rows, perSport, top: bestRunForDog(dogId), last: runs[runs.length - 1] || null };
+}
 
-  $("#manualBtn")?.addEventListener("click", ()=>{
-    const current = (timer.elapsed>0 ? (timer.elapsed/1000).toFixed(2) : "");
-    modal.open(
-      "Enter time manually",
-      `
-        <form class="form" id="manualForm">
-          <label>Time (seconds, or mm:ss.xx)
-            <input id="manualTime" type="text" placeholder="e.g., 10.52 or 00:10.52" value="${current}">
-          </label>
-          <button class="btn primary" type="submit">Use this time</button>
-          <p class="small-note">This sets the timer display so you can save the run.</p>
-        </form>
-      `,
-      `<button class="btn ghost" type="button" id="cancelManual">Cancel</button>`
-    );
-    $("#cancelManual").addEventListener("click", modal.close);
-    $("#manualForm").addEventListener("submit", (e)=>{
-      e.preventDefault();
-      const ms = parseTimeString($("#manualTime").value);
-      if(ms == null || ms <= 0){ toast("Enter a valid time"); return; }
-      timer.elapsed = ms;
-      timer.running = false;
-      cancelAnimationFrame(timer.raf);
-      $("#startStopBtn").textContent = "Start";
-      $("#timerDisplay").textContent = formatTime(timer.elapsed);
-      updateKpi();
-      modal.close();
-    });
-  });
+function viewDogProfile(d){
+  const st = dogStats(d.id);
+  const log = healthFor(d.id).reverse();
+  const weight = log.find(x => x.kind === "weight");
+  const age = dogAge(d.birthdate);
+  const meta = [d.breed, age, weight && `${weight.kg} kg`, d.notes].filter(Boolean).join(" • ") || "—";
+  const avatar = d.photoDataUrl
+    ? `<div class="avatar"><img alt="${escapeAttr(d.name)}" src="${d.photoDataUrl}"></div>`
+    : `<div class="avatar">${initials(d.name)}</div>`;
 
-  $("#saveRunBtn")?.addEventListener("click", ()=>{
-    if(!store.dogs.length){ toast("Add a dog first"); return; }
-    const dogId = $("#recordDog").value;
-    const distanceM = parseInt($("#recordDistance").value,10);
-    const sport = $("#recordSport").value;
-    const notes = ($("#recordNotes").value||"").trim();
+  return `
+    <section class="card" id="dogProfile" data-dogid="${d.id}">
+      <div class="row space-between wrap">
+        <button class="btn ghost" type="button" id="profileBack">← All dogs</button>
+        <div class="row wrap">
+          <button class="btn ghost" type="button" id="profileEdit">Edit</button>
+          <button class="btn primary" type="button" id="profileRecord">Record a run</button>
+        </div>
+      </div>
+      <div class="dog-main" style="margin-top:12px;">
+        ${avatar}
+        <div style="min-width:0;">
+          <div class="dog-name">${escapeHTML(d.name)}</div>
+          <div class="dog-meta">${escapeHTML(meta)}</div>
+        </div>
+      </div>
+      <div class="badges">
+        <span class="badge">Runs <strong>${st.runs.length}</strong></span>
+        ${Array.from(st.perSport, ([sport, n]) => `<span class="badge">${escapeHTML(sport)} <strong>${n}</strong></span>`).join("")}
+        <span class="badge">Last run <strong>${st.last ? new Date(st.last.createdAt).toLocaleDateString() : "—"}</strong></span>
+        ${st.top ? `<span class="badge">⚡ Top speed <strong>${speedText(st.top.speedKmh)}</strong></span>` : ""}
+      </div>
+    </section>
 
-    if(timer.running){ toast("Stop the timer first"); return; }
-    if(timer.elapsed <= 0){ toast("Record a time first"); return; }
+    <section class="card">
+      <h2>Progress</h2>
+      <div class="chart-wrap"><canvas id="profileChart" width="900" height="220"></canvas></div>
+      <p class="small-note">Speed per run with a 5-run average. Compare dogs on the Charts tab.</p>
+    </section>
 
-    const run = {
-      id: uid(),
-      dogId,
-      distanceM,
-      timeMs: Math.round(timer.elapsed),
-      speedKmh: round(speedKmh(distanceM, timer.elapsed), 4),
-      sport,
-      notes,
-      createdAt: nowISO()
-    };
+    ${viewWorkload(d.id)}
 
-    store.runs.push(run);
-    saveStore(store);
+    <section class="card">
+      <h2>Personal bests</h2>
+      ${st.rows.length ? `
+        <table class="table">
+          <thead><tr><th>Event</th><th>PB</th><th>Runs</th><th>Consistency</th><th>Season</th></tr></thead>
+          <tbody>
+            ${st.rows.map(x => `
+              <tr>
+                <td>${escapeHTML([x.pb.sport, distLabel(x.pb.distanceM), x.pb.heightClass].filter(Boolean).join(" "))}</td>
+                <td><strong>${resultMetric(x.pb)}</strong><div class="muted">${new Date(x.pb.createdAt).toLocaleDateString()}</div></td>
+                <td>${x.count}</td>
+                <td>${x.spread ? `±${(x.spread.sd/1000).toFixed(2)}s <div class="muted">${round(x.spread.cv,1)}% of ${formatTime(x.spread.mean)}</div>` : "—"}</td>
+                <td>${x.trend ? `<strong>${x.trend.pct >= 0 ? "▲" : "▼"} ${Math.abs(round(x.trend.pct,1))}%</strong><div class="muted">${x.trend.prevYear} → ${x.trend.curYear}</div>` : "—"}</td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+        <p class="small-note">Consistency is the standard deviation of course times (3+ runs). Season compares this year's best with last year's; ▲ is better.</p>
+      ` : `
+        <div class="item"><div class="muted">No runs yet. Record one to see PBs and trends.</div></div>
+      `}
+    </section>
 
-    // PB check
-    const pb = bestRunForDog(dogId);
-    const isPB = pb && pb.id === run.id; // because bestRunForDog includes latest
-    toast(isPB ? "Saved! 🏆 New PB" : "Saved run");
+    ${viewStartMethods(d.id)}
 
-    resetTimer();
-    render();
-  });
+    ${viewHealthCard(d.id, log)}
+  `;
+}
 
-  $("#clearRunsForDog")?.addEventListener("click", ()=>{
-    const dogId = store.settings.activeDogId || $("#recordDog")?.value;
-    if(!dogId) return;
-    const dog = store.dogs.find(d=> d.id === dogId);
-    if(!confirm(`Clear all runs for ${dog?.name || "this dog"}?`)) return;
-    store.runs = store.runs.filter(r=> r.dogId !== dogId);
+function viewStartMethods(dogId){
+  const groups = startMethodStats(dogId);
+  if(!groups.length) return "";
+  return `
+    <section class="card">
+      <h2>Start methods</h2>
+      <table class="table">
+        <thead><tr><th>Event</th><th>Timed by</th><th>Runs</th><th>Mean time</th></tr></thead>
+        <tbody>
+          ${groups.flatMap(g => g.methods.map((m, i) => `
+            <tr>
+              <td>${i === 0 ? escapeHTML(g.label) : ""}</td>
+              <td>${TIMING_SOURCES[m.method] || START_METHODS[m.method] || escapeHTML(m.method)}</td>
+              <td>${m.count}</td>
+              <td><strong>${formatTime(m.mean)}</strong>${i ? ` <span class="muted">+${((m.mean - g.methods[0].mean)/1000).toFixed(2)}s</span>` : ""}</td>
+            </tr>
+          `)).join("")}
+        </tbody>
+      </table>
+      <p class="small-note">A tapped start adds the handler's reaction time; the gap to the countdown, sound-triggered or video mean shows how much.</p>
+    </section>
+  `;
+}
+
+function wireDogProfile(){
+  const dog = store.dogs.find(d => d.id === $("#dogProfile").dataset.dogid);
+  $("#profileBack").addEventListener("click", ()=>{
+    store.settings.profileDogId = undefined;
     saveStore(store);
     render();
   });
-
-  $("tbody")?.addEventListener("click", (e)=>{
-    if(e.target.dataset.action !== "deleteRun") return;
-    const tr = e.target.closest("[data-runid]");
-    if(!tr) return;
-    const runId = tr.dataset.runid;
-    if(!confirm("Delete this run?")) return;
-    store.runs = store.runs.filter(r=> r.id !== runId);
+  $("#profileEdit").addEventListener("click", ()=> openDogEditor(dog));
+  $("#profileRecord").addEventListener("click", ()=>{
+    store.settings.activeDogId = dog.id;
     saveStore(store);
-    render();
+    setTab("record");
   });
 
-  // initial KPI
-  updateKpi();
+  wireHealthCard(dog);
 
-  function tick(){
-    if(!timer.running) return;
-    timer.elapsed = performance.now() - timer.start;
-    $("#timerDisplay").textContent = formatTime(timer.elapsed);
-    updateKpi();
-    timer.raf = requestAnimationFrame(tick);
-  }
+  const points = runsForDog(dog.id).filter(r => r.speedKmh > 0)
+    .map(r => ({ t: Date.parse(r.createdAt), y: speedIn(r.speedKmh), run: r }));
+  const pace = store.settings.units === "pace";
+  lineChart($("#profileChart"), [{ label: dog.name, color: CHART_COLORS[0], points }], {
+    yLabel: `${pace ? "Pace" : "Speed"} (${speedLabel()})`, unit: speedLabel(), trend: 5, lowerIsBetter: pace,
+    overlays: healthOverlays([dog.id])
+  });
+}
 
-  function startTimer(){
-    timer.running = true;
-    timer.start = performance.now() - timer.elapsed;
-    $("#startStopBtn").textContent = "Stop";
-    $("#timerSub").textContent = "Running… tap Stop to finish.";
-    timer.raf = requestAnimationFrame(tick);
-  }
+// ---------- Health log ----------
+// kinds with `span` have a start (date) and an end (endDate, empty while ongoing)
+const HEALTH_KINDS = {
+  weight: { label: "Weight", icon: "⚖️" },
+  condition: { label: "Body condition", icon: "📏" },
+  vet: { label: "Vet visit", icon: "🩺", color: "106,184,255" },
+  injury: { label: "Injury", icon: "🩹", span: true, color: "255,82,82" },
+  medication: { label: "Medication", icon: "💊", span: true, color: "255,159,67" },
+  heat: { label: "Heat cycle", icon: "🌸", span: true, color: "255,122,182" }
+};
 
-  function stopTimer(){
-    timer.running = false;
-    cancelAnimationFrame(timer.raf);
-    $("#startStopBtn").textContent = "Start";
-    $("#timerSub").textContent = "Ready to save.";
-    updateKpi();
-  }
+function healthFor(dogId){
+  return store.health.filter(x => x.dogId === dogId).sort((a,b)=> a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+}
 
-  function resetTimer(){
-    timer.running = false;
-    cancelAnimationFrame(timer.raf);
-    timer.elapsed = 0;
-    $("#timerDisplay").textContent = "00:00.00";
-    $("#timerSub").textContent = "Tap Start. Tap Stop. Save the run.";
-    $("#startStopBtn").textContent = "Start";
-  }
+function ongoingHealth(dogId, kind){
+  return healthFor(dogId).filter(x => x.kind === kind && HEALTH_KINDS[x.kind]?.span && !x.endDate);
+}
 
-  function updateKpi(){
-    const dist = parseInt($("#recordDistance")?.value || store.settings.defaultDistanceM, 10);
-    const ms = timer.elapsed;
-    const spd = ms>0 ? speedKmh(dist, ms) : 0;
-    const dogId = $("#recordDog")?.value || store.settings.activeDogId;
-    const pb = dogId ? bestRunForDog(dogId) : null;
-    const pbTxt = pb ? `${round(pb.speedKmh,2)} km/h • ${pb.distanceM}m` : "—";
+function healthSummary(x){
+  if(x.kind === "weight") return `${x.kg} kg`;
+  if(x.kind === "condition") return `BCS ${x.bcs}/9`;
+  return x.text || "";
+}
 
-    const area = $("#kpiArea");
-    if(!area) return;
-    area.innerHTML = `
-      <span class="badge">Distance <strong>${dist}m</strong></span>
-      <span class="badge">Speed <strong>${ms>0 ? round(spd,2) : "—"} km/h</strong></span>
-      <span class="badge">Current PB <strong>${pbTxt}</strong></span>
-    `;
-  }
+function healthOverlays(dogIds){
+  // bands for injuries/medication/heat, single lines for vet visits; drawn behind the chart lines
+  const today = localDay(nowISO());
+  return store.health
+    .filter(x => dogIds.includes(x.dogId) && HEALTH_KINDS[x.kind]?.color)
+    .map(x => ({
+      from: Date.parse(`${x.date}T00:00`),
+      to: HEALTH_KINDS[x.kind].span ? Date.parse(`${x.endDate || today}T23:59`) : null,
+      color: HEALTH_KINDS[x.kind].color,
+      label: `${HEALTH_KINDS[x.kind].icon} ${x.text || HEALTH_KINDS[x.kind].label}`
+    }));
 }
 
-// ---------- Charts (lightweight canvas) ----------
-function wireCharts(){
-  const sel = $("#chartDogSelect");
-  sel?.addEventListener("change", ()=>{
-    store.settings.activeDogId = sel.value;
+function viewHealthCard(dogId, log){
+  // log: this dog's entries, newest first
+  const prevWeight = (x) => log.find(y => y.kind === "weight" && y.date < x.date);
+  return `
+    <section class="card">
+      <h2>Health log</h2>
+      <form class="form" id="healthForm">
+        <div class="row wrap filters">
+          <label>Entry
+            <select id="hlKind">
+              ${Object.entries(HEALTH_KINDS).map(([k, v]) => `<option value="${k}">${v.icon} ${v.label}</option>`).join("")}
+            </select>
+          </label>
+          <label><span data-span-label>Date</span> <input id="hlDate" type="date" value="${localDay(nowISO())}"></label>
+          <label data-kinds="injury medication heat" class="hidden">Ended (blank = ongoing) <input id="hlEnd" type="date"></label>
+          <label data-kinds="weight">Weight (kg) <input id="hlKg" type="number" min="0.1" step="0.1" inputmode="decimal" placeholder="e.g., 28.5"></label>
+          <label data-kinds="condition" class="hidden">Body condition (1–9) <input id="hlBcs" type="number" min="1" max="9" step="1" value="5"></label>
+        </div>
+        <label data-kinds="condition vet injury medication heat" class="hidden">Details
+          <input id="hlText" type="text" placeholder="e.g., Left wrist strain, rest 2 weeks">
+        </label>
+        <div class="row"><button class="btn" type="submit">Add to log</button></div>
+      </form>
+      ${log.length ? `
+        <ul class="list" id="healthList" style="margin-top:10px;">
+          ${log.map(x => {
+            const kind = HEALTH_KINDS[x.kind] || { label: x.kind, icon: "•" };
+            const prev = x.kind === "weight" ? prevWeight(x) : null;
+            const diff = prev ? round(x.kg - prev.kg, 1) : 0;
+            const when = kind.span ? `${x.date} → ${x.endDate || "ongoing"}` : x.date;
+            return `
+              <li class="item row space-between ${kind.span && !x.endDate ? "ongoing" : ""}">
+                <span>${kind.icon} <strong>${kind.label}</strong> • ${escapeHTML(when)}${healthSummary(x) ? ` • ${escapeHTML(healthSummary(x))}` : ""}${diff ? ` <span class="muted">(${diff > 0 ? "+" : ""}${diff})</span>` : ""}</span>
+                <span class="row">
+                  ${kind.span && !x.endDate ? `<button class="btn ghost" type="button" data-end="${escapeAttr(x.id)}">End today</button>` : ""}
+                  <button class="btn ghost" type="button" data-remove="${escapeAttr(x.id)}">Remove</button>
+                </span>
+              </li>
+            `;
+          }).join("")}
+        </ul>
+      ` : `<p class="small-note">No entries yet. Injuries, medication, heat cycles and vet visits show up on the charts.</p>`}
+    </section>
+  `;
+}
+
+function wireHealthCard(dog){
+  const kindSel = $("#hlKind");
+  const showFields = ()=>{
+    $$("#healthForm [data-kinds]").forEach(el => el.classList.toggle("hidden", !el.dataset.kinds.split(" ").includes(kindSel.value)));
+    $("#healthForm [data-span-label]").textContent = HEALTH_KINDS[kindSel.value].span ? "Started" : "Date";
+  };
+  kindSel.addEventListener("change", showFields);
+  showFields();
+
+  $("#healthForm").addEventListener("submit", (e)=>{
+    e.preventDefault();
+    const kind = kindSel.value;
+    const entry = { id: uid(), dogId: dog.id, kind, date: $("#hlDate").value || localDay(nowISO()), text: ($("#hlText").value||"").trim(), createdAt: nowISO() };
+    if(kind === "weight"){
+      entry.kg = round(parseFloat($("#hlKg").value), 1);
+      if(!(entry.kg > 0)){ toast("Enter a weight"); return; }
+      entry.text = "";
+      // one weigh-in per day: a second entry replaces the first
+      store.health = store.health.filter(x => !(x.dogId === dog.id && x.kind === "weight" && x.date === entry.date));
+    }
+    if(kind === "condition") entry.bcs = clamp(parseInt($("#hlBcs").value, 10) || 5, 1, 9);
+    if(HEALTH_KINDS[kind].span && $("#hlEnd").value){
+      if($("#hlEnd").value < entry.date){ toast("End date is before the start"); return; }
+      entry.endDate = $("#hlEnd").value;
+    }
+    if(["vet", "injury", "medication"].includes(kind) && !entry.text){ toast("Add some details"); return; }
+    store.health.push(entry);
+    saveStore(store);
+    render();
+  });
+
+  $("#healthList")?.addEventListener("click", (e)=>{
+    const { end, remove } = e.target.dataset;
+    if(end){
+      const entry = store.health.find(x => x.id === end);
+      entry.endDate = localDay(nowISO());
+    } else if(remove){
+      if(!confirm("Remove this entry?")) return;
+      store.health = store.health.filter(x => x.id !== remove);
+    } else return;
     saveStore(store);
     render();
   });
-  drawCharts();
 }
 
-function drawCharts(){
-  const dogId = store.settings.activeDogId || store.dogs[0]?.id;
-  if(!dogId) return;
+// ---------- Workload ----------
+// load = metres run × intensity, where intensity is speed relative to the dog's best at that distance.
+// acute = last 7 days, chronic = weekly average over the last 28; a ratio above SPIKE is a warning.
+const WORKLOAD = { spike: 1.5, low: 0.8, minHistoryDays: 21, maxRunDays: 7 };
 
-  const dogRuns = runsForDog(dogId);
-  const allRuns = store.runs.slice().sort((a,b)=> a.createdAt.localeCompare(b.createdAt));
+function dayOffset(n){
+  // local calendar day n days ago, as YYYY-MM-DD
+  const d = new Date();
+  d.setHours(12,0,0,0);
+  d.setDate(d.getDate() - n);
+  return localDay(d.toISOString());
+}
 
-  const dogPoints = dogRuns.map((r,i)=> ({ x:i+1, y:r.speedKmh, label: new Date(r.createdAt).toLocaleDateString() }));
-  const allPoints = allRuns.map((r,i)=> ({ x:i+1, y:r.speedKmh, label: (dogsById().get(r.dogId)?.name || "Dog") }));
+function dailyLoad(dogId){
+  const runs = runsForDog(dogId).filter(r => !isEliminated(r));
+  const bestAt = new Map();
+  runs.forEach(r => { if(r.speedKmh > (bestAt.get(r.distanceM) || 0)) bestAt.set(r.distanceM, r.speedKmh); });
+  const days = new Map();
+  runs.forEach(r => {
+    const day = localDay(r.createdAt);
+    const x = days.get(day) || { runs:0, distanceM:0, load:0, intensity:0, timed:0 };
+    const intensity = r.speedKmh > 0 ? r.speedKmh / bestAt.get(r.distanceM) : null;
+    x.runs += 1;
+    x.distanceM += r.distanceM || 0;
+    x.load += (r.distanceM || 0) * (intensity ?? 1);
+    if(intensity != null){ x.intensity += intensity; x.timed += 1; }
+    days.set(day, x);
+  });
+  return days;
+}
 
-  const dogCanvas = $("#dogChart");
-  const allCanvas = $("#allChart");
-  if(dogCanvas) lineChart(dogCanvas, dogPoints, `Speed (km/h)`);
-  if(allCanvas) lineChart(allCanvas, allPoints, `Speed (km/h)`);
+function loadWindow(days, from, n){
+  // totals for n days ending `from` days ago
+  const out = { runs:0, distanceM:0, load:0, intensity:0, timed:0 };
+  for(let i = from; i < from + n; i++){
+    const x = days.get(dayOffset(i));
+    if(x) Object.keys(out).forEach(k => { out[k] += x[k]; });
+  }
+  return { ...out, avgIntensity: out.timed ? out.intensity / out.timed : null };
 }
 
-function lineChart(canvas, points, yLabel){
-  const ctx = canvas.getContext("2d");
-  const w = canvas.width, h = canvas.height;
-  ctx.clearRect(0,0,w,h);
+function workload(dogId){
+  // cached with the run indexes (every dog card asks), and per calendar day since windows end today
+  const cache = derivedData().workload;
+  const today = dayOffset(0);
+  if(cache.get(dogId)?.day !== today) cache.set(dogId, { day: today, wl: computeWorkload(dogId) });
+  return cache.get(dogId).wl;
+}
 
-  // background
-  ctx.fillStyle = "rgba(255,255,255,0.02)";
-  ctx.fillRect(0,0,w,h);
+function computeWorkload(dogId){
+  const days = dailyLoad(dogId);
+  const first = Array.from(days.keys()).sort()[0];
+  const historyDays = first ? Math.round((Date.parse(dayOffset(0)) - Date.parse(first)) / (24 * 60 * 60 * 1000)) : 0;
+  const acute = loadWindow(days, 0, 7);
+  const chronic = loadWindow(days, 0, 28);
+  const chronicWeek = chronic.load / 4;
+  const ratio = historyDays >= WORKLOAD.minHistoryDays && chronicWeek > 0 ? acute.load / chronicWeek : null;
+  // run days in a row up to the latest one, counted from yesterday until today has a run
+  const from = days.has(dayOffset(0)) ? 0 : 1;
+  let streak = 0;
+  while(days.has(dayOffset(from + streak))) streak++;
 
-  const padL = 46, padR = 14, padT = 12, padB = 30;
-  const plotW = w - padL - padR;
-  const plotH = h - padT - padB;
+  const warnings = [];
+  if(ratio != null && ratio > WORKLOAD.spike) warnings.push(`Workload spike: this week is ${round(ratio,1)}× the 4-week average`);
+  if(streak >= WORKLOAD.maxRunDays) warnings.push(`No rest day in ${streak} days`);
+  return {
+    days, ratio, streak, warnings,
+    periods: [
+      { label: "Last 7 days", ...acute },
+      { label: "Previous 7 days", ...loadWindow(days, 7, 7) },
+      { label: "Last 30 days", ...loadWindow(days, 0, 30) },
+      { label: "Previous 30 days", ...loadWindow(days, 30, 30) }
+    ]
+  };
+}
 
-  // if no data
-  if(!points.length){
-    ctx.fillStyle = "rgba(243,243,247,0.65)";
-    ctx.font = "bold 18px system-ui";
-    ctx.fillText("No data yet", padL, padT+30);
-    ctx.fillStyle = "rgba(183,183,195,0.75)";
-    ctx.font = "14px system-ui";
-    ctx.fillText("Record runs to see the chart.", padL, padT+55);
-    return;
+function heatmapHTML(days, weeks=12){
+  // columns are Monday-first weeks, oldest on the left
+  const today = new Date();
+  const back = (today.getDay() + 6) % 7 + (weeks - 1) * 7; // back to the Monday `weeks` ago
+  const max = Math.max(1, ...Array.from(days.values(), x => x.load));
+  const cells = [];
+  for(let i = back; i >= 0; i--){
+    const day = dayOffset(i);
+    const x = days.get(day);
+    const level = x ? Math.max(1, Math.ceil(x.load / max * 4)) : 0;
+    const tip = x ? `${day}: ${x.runs} run${x.runs!==1?'s':''}, ${distLabel(x.distanceM) || "0"}` : `${day}: rest`;
+    cells.push(`<span class="heat heat-${level} ${i === 0 ? "today" : ""}" title="${escapeAttr(tip)}"></span>`);
   }
+  return `<div class="heatmap">${cells.join("")}</div>`;
+}
 
-  const ys = points.map(p=>p.y);
-  let yMin = Math.min(...ys);
-  let yMax = Math.max(...ys);
-  if(yMin === yMax){ yMin = yMin - 1; yMax = yMax + 1; }
-  yMin = Math.max(0, yMin*0.95);
-  yMax = yMax*1.05;
+function viewWorkload(dogId){
+  const wl = workload(dogId);
+  return `
+    <section class="card">
+      <div class="row space-between wrap">
+        <h2>Workload</h2>
+        <div class="pill">Acute:chronic <strong>${wl.ratio != null ? round(wl.ratio, 2) : "—"}</strong></div>
+      </div>
+      ${wl.warnings.map(w => `<div class="warning">⚠ ${escapeHTML(w)}</div>`).join("")}
+      ${wl.ratio != null && wl.ratio < WORKLOAD.low ? `<p class="small-note">This week is light compared with the last four.</p>` : ""}
+      ${heatmapHTML(wl.days)}
+      <div class="row" style="gap:6px; margin:6px 0 10px;">
+        <span class="small-note" style="margin:0;">Rest</span>
+        ${[0,1,2,3,4].map(l => `<span class="heat heat-${l}"></span>`).join("")}
+        <span class="small-note" style="margin:0;">Hard</span>
+      </div>
+      <table class="table">
+        <thead><tr><th>Period</th><th>Runs</th><th>Distance</th><th>Intensity</th></tr></thead>
+        <tbody>
+          ${wl.periods.map(x => `
+            <tr>
+              <td>${x.label}</td>
+              <td>${x.runs}</td>
+              <td>${distLabel(x.distanceM) || "—"}</td>
+              <td>${x.avgIntensity != null ? `${Math.round(x.avgIntensity * 100)}% of best` : "—"}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+      <p class="small-note">Load is distance × intensity (speed as a share of the dog's best at that distance). Acute:chronic compares the last 7 days with the 4-week weekly average; above ${WORKLOAD.spike} is a spike. Days without runs count as rest.</p>
+    </section>
+  `;
+}
 
-  const xMin = 1;
-  const xMax = Math.max(2, points.length);
+// ---------- Start cues (countdown + microphone) ----------
+// how the clock was started; "manual" marks a typed-in time
+const START_METHODS = { tap: "Tap", countdown: "Countdown beep", audio: "Sound trigger", manual: "Typed in" };
+const MIC_LEVELS = [[0.5, "Low (loud whistle)"], [0.3, "Medium"], [0.15, "High (clap at distance)"]];
+const MIC_LOCKOUT_MS = 1000; // ignore the echo of the start signal
 
-  function xScale(x){ return padL + ( (x - xMin) / (xMax - xMin) ) * plotW; }
-  function yScale(y){ return padT + (1 - (y - yMin) / (yMax - yMin)) * plotH; }
+let cue = { mode:"", timeouts:[], stream:null, raf:0 }; // mode: "countdown" | "listening"
+let audioCtx = null;
 
-  // grid
-  ctx.strokeStyle = "rgba(255,255,255,0.07)";
-  ctx.lineWidth = 1;
-  const gridLines = 4;
-  for(let i=0;i<=gridLines;i++){
-    const y = padT + (i/gridLines)*plotH;
-    ctx.beginPath();
-    ctx.moveTo(padL, y);
-    ctx.lineTo(padL+plotW, y);
-    ctx.stroke();
+function getAudioCtx(){
+  // created on first use from a tap, since browsers only allow audio after a gesture
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if(!Ctx) return null;
+  if(!audioCtx) audioCtx = new Ctx();
+  if(audioCtx.state === "suspended") audioCtx.resume();
+  return audioCtx;
+}
+
+function beep(delayS, freq, durS){
+  const ctx = getAudioCtx();
+  if(!ctx) return;
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.frequency.value = freq;
+  gain.gain.value = 0.4;
+  osc.connect(gain).connect(ctx.destination);
+  osc.start(ctx.currentTime + delayS);
+  osc.stop(ctx.currentTime + delayS + durS);
+}
+
+function startCountdown(seconds, onTick, onGo){
+  // beeps are scheduled on the audio clock up front; the clock starts at the planned go time,
+  // so a late timer callback doesn't shift the result
+  stopCue();
+  const goAt = performance.now() + seconds * 1000;
+  for(let n = seconds; n > 0; n--) beep(seconds - n, 660, 0.12);
+  beep(seconds, 1320, 0.4);
+  cue.mode = "countdown";
+  for(let n = seconds; n > 0; n--) cue.timeouts.push(setTimeout(()=> onTick(n), (seconds - n) * 1000));
+  cue.timeouts.push(setTimeout(()=>{
+    cue = { mode:"", timeouts:[], stream:null, raf:0 };
+    onGo(goAt);
+  }, seconds * 1000));
+}
+
+async function listenForSound(threshold, onSpike){
+  // calls onSpike(atMs) for each peak above threshold; back-dated to the loudest sample in the buffer.
+  // Resolves false if the cue was cancelled while the permission prompt was up.
+  stopCue();
+  const ctx = getAudioCtx();
+  if(!ctx || !navigator.mediaDevices?.getUserMedia) throw new Error("This browser can't use the microphone.");
+  const arming = cue = { mode:"listening", timeouts:[], stream:null, raf:0 };
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation:false, noiseSuppression:false, autoGainControl:false } });
+  if(cue !== arming){
+    stream.getTracks().forEach(t => t.stop());
+    return false;
   }
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  ctx.createMediaStreamSource(stream).connect(analyser);
+  const buf = new Float32Array(analyser.fftSize);
+  let quietUntil = 0;
+  cue = { mode:"listening", timeouts:[], stream, raf:0 };
 
-  // y labels
-  ctx.fillStyle = "rgba(183,183,195,0.85)";
-  ctx.font = "12px system-ui";
-  for(let i=0;i<=gridLines;i++){
+  const poll = ()=>{
+    if(cue.stream !== stream) return;
+    analyser.getFloatTimeDomainData(buf);
+    let peak = 0, at = 0;
+    buf.forEach((v, i) => { if(Math.abs(v) > peak){ peak = Math.abs(v); at = i; } });
+    const now = performance.now();
+    if(peak >= threshold && now > quietUntil){
+      quietUntil = now + MIC_LOCKOUT_MS;
+      onSpike(now - (buf.length - at) / ctx.sampleRate * 1000);
+    }
+    cue.raf = requestAnimationFrame(poll);
+  };
+  poll();
+  return true;
+}
+
+function stopCue(){
+  cue.timeouts.forEach(clearTimeout);
+  cancelAnimationFrame(cue.raf);
+  cue.stream?.getTracks().forEach(t => t.stop());
+  cue = { mode:"", timeouts:[], stream:null, raf:0 };
+}
+
+function timingIcon(r){
+  // small marker next to a run's time when it wasn't a plain tapped stopwatch
+  const icon = r.timingSource === "video" ? "🎬"
+    : r.startMethod === "countdown" ? "🔔" : r.startMethod === "audio" ? "🎤" : r.startMethod === "manual" ? "✍️" : "";
+  const title = TIMING_SOURCES[r.timingSource] || START_METHODS[r.startMethod] || "";
+  return icon ? ` <span class="muted" title="${escapeAttr(title)}">${icon}</span>` : "";
+}
+
+function startMethodStats(dogId){
+  // per PB group, mean time by start method (or video); only groups timed more than one way are worth comparing
+  const groups = new Map();
+  runsForDog(dogId).filter(r => r.timeMs > 0 && (r.startMethod || r.timingSource) && !isEliminated(r)).forEach(r => {
+    const method = r.timingSource || r.startMethod;
+    const key = pbKey(r.sport, r.distanceM, r.heightClass);
+    if(!groups.has(key)) groups.set(key, { label: [r.sport, distLabel(r.distanceM), r.heightClass].filter(Boolean).join(" "), byMethod: new Map() });
+    const g = groups.get(key).byMethod;
+    g.set(method, [...(g.get(method) || []), r.timeMs]);
+  });
+  return Array.from(groups.values())
+    .filter(g => g.byMethod.size > 1)
+    .map(g => ({
+      label: g.label,
+      methods: Array.from(g.byMethod, ([method, times]) => ({ method, count: times.length, mean: times.reduce((a,b)=> a+b, 0) / times.length }))
+        .sort((a,b)=> a.mean - b.mean)
+    }));
+}
+
+// ---------- Video timing ----------
+// runs timed by something other than the stopwatch say so; absent = stopwatch
+const TIMING_SOURCES = { video: "Video", gps: "GPS", paired: "Two devices" };
+const VIDEO_FPS = [24, 25, 30, 50, 60, 120, 240];
+
+function openVideoTiming(onUse){
+  // onUse(timeMs, marks) with marks = {name, fps, startS, finishS}; times snap to whole frames
+  let url = "", name = "";
+  let fps = store.settings.videoFps || 60;
+  const marks = { startS: null, finishS: null };
+
+  modal.open(
+    "Time from video",
+    `
+      <div class="form">
+        <label>Video clip
+          <input id="vtFile" type="file" accept="video/*">
+        </label>
+        <div class="chart-wrap hidden" id="vtStage">
+          <video id="vtVideo" playsinline muted preload="auto" style="width:100%; max-height:50vh; display:block;"></video>
+        </div>
+        <div id="vtControls" class="hidden">
+          <input id="vtScrub" type="range" min="0" max="0" step="any" value="0" style="width:100%;">
+          <div class="row space-between wrap" style="margin-top:8px;">
+            <div class="row wrap">
+              <button class="btn ghost" type="button" data-step="-10">⏪ 10</button>
+              <button class="btn ghost" type="button" data-step="-1">◀ 1</button>
+              <button class="btn ghost" type="button" data-step="1">1 ▶</button>
+              <button class="btn ghost" type="button" data-step="10">10 ⏩</button>
+            </div>
+            <span class="pill" id="vtPos">0.000s</span>
+          </div>
+          <div class="row wrap filters" style="margin-top:8px;">
+            <label>Frame rate
+              <select id="vtFps">
+                ${VIDEO_FPS.map(n => `<option value="${n}" ${n===fps?'selected':''}>${n} fps</option>`).join("")}
+              </select>
+            </label>
+          </div>
+          <div class="row wrap" style="margin-top:8px;">
+            <button class="btn" type="button" id="vtMarkStart">Mark start</button>
+            <button class="btn" type="button" id="vtMarkFinish">Mark finish</button>
+          </div>
+          <div class="kpi" id="vtResult"></div>
+          <p class="small-note">Step to the frame where the dog crosses each line. Arrow keys step one frame, Shift+arrow ten. Pick the rate the clip was filmed at (slow-motion clips: the capture rate).</p>
+        </div>
+      </div>
+    `,
+    `
+      <button class="btn ghost" type="button" id="vtCancel">Cancel</button>
+      <button class="btn primary" type="button" id="vtUse" disabled>Use this time</button>
+    `
+  );
+
+  const video = $("#vtVideo");
+  const frame = (t) => Math.round(t * fps);
+  const snap = (t) => frame(t) / fps;
+  const seek = (t) => {
+    video.pause();
+    video.currentTime = clamp(snap(t), 0, video.duration || 0);
+  };
+  const elapsedMs = () => (marks.startS != null && marks.finishS != null ? Math.round((marks.finishS - marks.startS) * 1000) : 0);
+
+  const show = ()=>{
+    const t = video.currentTime || 0;
+    $("#vtScrub").value = t;
+    $("#vtPos").textContent = `${t.toFixed(3)}s • frame ${frame(t)}`;
+    const ms = elapsedMs();
+    $("#vtResult").innerHTML = `
+      <span class="badge">Start <strong>${marks.startS != null ? `${marks.startS.toFixed(3)}s` : "—"}</strong></span>
+      <span class="badge">Finish <strong>${marks.finishS != null ? `${marks.finishS.toFixed(3)}s` : "—"}</strong></span>
+      <span class="badge">Time <strong>${ms > 0 ? formatTime(ms) : "—"}</strong> ±${Math.round(1000 / fps)} ms</span>
+    `;
+    $("#vtUse").disabled = !(ms > 0);
+  };
+
+  modal.onClose = ()=>{
+    video.pause();
+    if(url) URL.revokeObjectURL(url);
+    document.removeEventListener("keydown", onKey);
+  };
+  const onKey = (e)=>{
+    if(!video.duration || !["ArrowLeft", "ArrowRight"].includes(e.key) || e.target.tagName === "SELECT") return;
+    e.preventDefault();
+    seek(video.currentTime + (e.key === "ArrowLeft" ? -1 : 1) * (e.shiftKey ? 10 : 1) / fps);
+  };
+  document.addEventListener("keydown", onKey);
+
+  $("#vtFile").addEventListener("change", (e)=>{
+    const file = e.target.files?.[0];
+    if(!file) return;
+    if(url) URL.revokeObjectURL(url);
+    url = URL.createObjectURL(file);
+    name = file.name;
+    marks.startS = marks.finishS = null;
+    video.src = url;
+  });
+  video.addEventListener("loadedmetadata", ()=>{
+    $("#vtScrub").max = video.duration;
+    $("#vtStage").classList.remove("hidden");
+    $("#vtControls").classList.remove("hidden");
+    show();
+  });
+  video.addEventListener("error", ()=> toast("This video can't be played here"));
+  video.addEventListener("seeked", show);
+  video.addEventListener("timeupdate", show);
+
+  $("#vtScrub").addEventListener("input", (e)=> seek(parseFloat(e.target.value)));
+  $("#vtControls").addEventListener("click", (e)=>{
+    const step = parseInt(e.target.dataset.step, 10);
+    if(step) seek(video.currentTime + step / fps);
+  });
+  $("#vtFps").addEventListener("change", (e)=>{
+    fps = parseInt(e.target.value, 10);
+    store.settings.videoFps = fps;
+    saveStore(store);
+    // re-snap existing marks to the new frame grid
+    if(marks.startS != null) marks.startS = snap(marks.startS);
+    if(marks.finishS != null) marks.finishS = snap(marks.finishS);
+    show();
+  });
+  $("#vtMarkStart").addEventListener("click", ()=>{
+    marks.startS = snap(video.currentTime);
+    show();
+  });
+  $("#vtMarkFinish").addEventListener("click", ()=>{
+    marks.finishS = snap(video.currentTime);
+    if(marks.startS != null && marks.finishS <= marks.startS) toast("Finish is before the start");
+    show();
+  });
+
+  $("#vtCancel").addEventListener("click", modal.close);
+  $("#vtUse").addEventListener("click", ()=>{
+    const ms = elapsedMs();
+    if(!(ms > 0)) return;
+    onUse(ms, { name, fps, startS: round(marks.startS, 4), finishS: round(marks.finishS, 4) });
+    modal.close();
+  });
+}
+
+// ---------- GPS tracks ----------
+const GPS = {
+  maxAccuracyM: 30, // fixes less precise than this are dropped
+  peakWindowMs: 2000, // top speed is the best average over at least this long, to ride out jitter
+  maxKmh: 80 // faster than any dog: a jump like that is a bad fix
+};
+
+let gpsWatch = { id: null, accuracy: null };
+
+function haversineM(a, b){
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad, dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat/2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon/2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function reachable(a, b){
+  return b.t > a.t && haversineM(a, b) / ((b.t - a.t) / 1000) * 3.6 <= GPS.maxKmh;
+}
+
+function cleanTrack(track){
+  // drops points that would need an impossible speed to reach from the last good one;
+  // the first good one must agree with its next two neighbours, so a bad opening fix can't sink the rest
+  const start = track.findIndex((p, i) => track.slice(i + 1, i + 3).every(q => reachable(p, q)));
+  return track.slice(Math.max(start, 0)).reduce((out, p) => {
+    const prev = out[out.length - 1];
+    return !prev || reachable(prev, p) ? [...out, p] : out;
+  }, []);
+}
+
+function trackStats(track){
+  // track: [{t (ms from start), lat, lon}] → distance, duration, average and peak speed
+  const pts = cleanTrack(track || []);
+  if(pts.length < 2) return null;
+  const cum = [0];
+  for(let i = 1; i < pts.length; i++) cum.push(cum[i-1] + haversineM(pts[i-1], pts[i]));
+  const timeMs = pts[pts.length - 1].t - pts[0].t;
+  let topKmh = 0;
+  for(let i = 1, j = 0; i < pts.length; i++){
+    while(j < i - 1 && pts[i].t - pts[j + 1].t >= GPS.peakWindowMs) j++;
+    const dt = pts[i].t - pts[j].t;
+    if(dt >= GPS.peakWindowMs || (j === 0 && dt >= timeMs)) topKmh = Math.max(topKmh, (cum[i] - cum[j]) / (dt / 1000) * 3.6);
+  }
+  const distanceM = cum[cum.length - 1];
+  return { points: pts, distanceM, timeMs, avgKmh: timeMs ? distanceM / (timeMs / 1000) * 3.6 : 0, topKmh };
+}
+
+function parseGPX(text){
+  // first track (or route) with timestamps; t is ms from the first point
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if(doc.querySelector("parsererror")) throw new Error("Not a GPX file");
+  const nodes = Array.from(doc.getElementsByTagName("trkpt"));
+  const pts = (nodes.length ? nodes : Array.from(doc.getElementsByTagName("rtept"))).map(n => ({
+    lat: parseFloat(n.getAttribute("lat")),
+    lon: parseFloat(n.getAttribute("lon")),
+    time: Date.parse(n.getElementsByTagName("time")[0]?.textContent || "")
+  })).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon) && Number.isFinite(p.time));
+  if(pts.length < 2) throw new Error("The GPX file has no timed track points");
+  return {
+    startedAt: new Date(pts[0].time).toISOString(),
+    track: pts.map(p => ({ t: p.time - pts[0].time, lat: round(p.lat, 7), lon: round(p.lon, 7) }))
+  };
+}
+
+function startGpsWatch(onFix){
+  // onFix({lat, lon, accuracy}) for every usable fix; keeps the receiver warm between runs
+  if(gpsWatch.id != null) return true;
+  if(!navigator.geolocation) return false;
+  gpsWatch.id = navigator.geolocation.watchPosition(
+    (pos)=>{
+      gpsWatch.accuracy = pos.coords.accuracy;
+      if(pos.coords.accuracy <= GPS.maxAccuracyM) onFix({ lat: pos.coords.latitude, lon: pos.coords.longitude, accuracy: pos.coords.accuracy });
+      else onFix(null);
+    },
+    (err)=>{
+      stopGpsWatch();
+      toast(err.code === 1 ? "Location access was denied" : "No GPS signal");
+    },
+    { enableHighAccuracy: true, maximumAge: 0, timeout: 30000 }
+  );
+  return true;
+}
+
+function stopGpsWatch(){
+  if(gpsWatch.id != null) navigator.geolocation?.clearWatch(gpsWatch.id);
+  gpsWatch = { id: null, accuracy: null };
+}
+
+function drawTrack(canvas, track){
+  // plain equirectangular plot, coloured from slow (green) to fast (red)
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width, h = canvas.height, pad = 16;
+  ctx.clearRect(0,0,w,h);
+  ctx.fillStyle = "rgba(255,255,255,0.02)";
+  ctx.fillRect(0,0,w,h);
+  const pts = cleanTrack(track || []);
+  if(pts.length < 2) return;
+
+  const kx = Math.cos(pts[0].lat * Math.PI / 180);
+  const xs = pts.map(p => p.lon * kx), ys = pts.map(p => p.lat);
+  const x0 = Math.min(...xs), y0 = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - x0, Math.max(...ys) - y0) || 1e-6;
+  const scale = Math.min(w, h) - pad * 2;
+  const offX = (w - (Math.max(...xs) - x0) / span * scale) / 2;
+  const offY = (h - (Math.max(...ys) - y0) / span * scale) / 2;
+  const px = (i) => offX + (xs[i] - x0) / span * scale;
+  const py = (i) => h - offY - (ys[i] - y0) / span * scale;
+
+  const speeds = pts.map((p, i) => (i ? haversineM(pts[i-1], p) / Math.max(0.001, (p.t - pts[i-1].t) / 1000) : 0));
+  const top = Math.max(...speeds) || 1;
+  ctx.lineWidth = 4;
+  ctx.lineCap = "round";
+  for(let i = 1; i < pts.length; i++){
+    const f = speeds[i] / top;
+    ctx.strokeStyle = `rgb(${Math.round(71 + 184*f)},${Math.round(255 - 173*f)},${Math.round(137 - 55*f)})`;
+    ctx.beginPath();
+    ctx.moveTo(px(i-1), py(i-1));
+    ctx.lineTo(px(i), py(i));
+    ctx.stroke();
+  }
+  [[0, "#47ff89", "Start"], [pts.length - 1, "#ffffff", "Finish"]].forEach(([i, color, label]) => {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(px(i), py(i), 6, 0, Math.PI*2);
+    ctx.fill();
+    ctx.font = "12px system-ui";
+    ctx.fillText(label, clamp(px(i) + 8, 0, w - 50), clamp(py(i) - 8, 12, h - 4));
+  });
+}
+
+// ---------- QR codes (pairing) ----------
+// A small encoder (byte mode, low error correction, versions 1-40) so a pairing code can be shown
+// as a QR code with no library or network; reading one uses the browser's BarcodeDetector.
+const QR_EC_PER_BLOCK = [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30];
+const QR_BLOCKS = [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function qrRawModules(ver){
+  // modules left for data once the finder, timing, alignment, format and version patterns are placed
+  let n = (16 * ver + 128) * ver + 64;
+  if(ver >= 2){
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if(ver >= 7) n -= 36;
+  }
+  return n;
+}
+
+function qrDataCodewords(ver){
+  return Math.floor(qrRawModules(ver) / 8) - QR_EC_PER_BLOCK[ver] * QR_BLOCKS[ver];
+}
+
+function qrAlignment(ver, size){
+  if(ver === 1) return [];
+  const count = Math.floor(ver / 7) + 2;
+  const step = Math.floor((ver * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const pos = [6];
+  for(let p = size - 7; pos.length < count; p -= step) pos.splice(1, 0, p);
+  return pos;
+}
+
+function gfMultiply(x, y){
+  // GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+  let z = 0;
+  for(let i = 7; i >= 0; i--){
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomon(data, degree){
+  // error correction codewords for one block
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  for(let i = 0, root = 1; i < degree; i++, root = gfMultiply(root, 2)){
+    for(let j = 0; j < degree; j++){
+      divisor[j] = gfMultiply(divisor[j], root);
+      if(j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+  }
+  const rem = new Array(degree).fill(0);
+  data.forEach(b => {
+    const factor = b ^ rem.shift();
+    rem.push(0);
+    divisor.forEach((c, i) => { rem[i] ^= gfMultiply(c, factor); });
+  });
+  return rem;
+}
+
+function qrCodewords(bytes, ver){
+  // mode, length, data and padding, split into blocks with their error correction and interleaved
+  const cap = qrDataCodewords(ver);
+  const bits = [];
+  const put = (v, n) => { for(let i = n - 1; i >= 0; i--) bits.push((v >>> i) & 1); };
+  put(4, 4);
+  put(bytes.length, ver < 10 ? 8 : 16);
+  bytes.forEach(b => put(b, 8));
+  put(0, Math.min(4, cap * 8 - bits.length));
+  put(0, (8 - bits.length % 8) % 8);
+  const data = [];
+  for(let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+  for(let pad = 0xEC; data.length < cap; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+  const blocks = QR_BLOCKS[ver], ecLen = QR_EC_PER_BLOCK[ver];
+  const raw = Math.floor(qrRawModules(ver) / 8);
+  const shortBlocks = blocks - raw % blocks, shortLen = Math.floor(raw / blocks);
+  const split = [];
+  for(let i = 0, k = 0; i < blocks; i++){
+    const dat = data.slice(k, k + shortLen - ecLen + (i < shortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = reedSolomon(dat, ecLen);
+    if(i < shortBlocks) dat.push(0); // placeholder so every block lines up; skipped below
+    split.push([...dat, ...ecc]);
+  }
+  const out = [];
+  for(let i = 0; i < split[0].length; i++){
+    split.forEach((b, j) => { if(i !== shortLen - ecLen || j >= shortBlocks) out.push(b[i]); });
+  }
+  return out;
+}
+
+function qrPenalty(dark){
+  // the standard's four rules: long runs, 2x2 blocks, finder look-alikes and the dark/light balance
+  const size = dark.length;
+  let score = 0, darkCount = 0;
+  [...dark, ...dark.map((_, x) => dark.map(row => row[x]))].forEach(line => {
+    let run = 1;
+    for(let i = 1; i <= size; i++){
+      if(i < size && line[i] === line[i - 1]) run++;
+      else { if(run >= 5) score += run - 2; run = 1; }
+    }
+    score += 40 * (line.map(v => (v ? 1 : 0)).join("").match(/(?=10111010000|00001011101)/g) || []).length;
+  });
+  for(let y = 0; y < size; y++){
+    for(let x = 0; x < size; x++){
+      if(dark[y][x]) darkCount++;
+      const c = dark[y][x];
+      if(x < size - 1 && y < size - 1 && dark[y][x + 1] === c && dark[y + 1][x] === c && dark[y + 1][x + 1] === c) score += 3;
+    }
+  }
+  return score + (Math.ceil(Math.abs(darkCount * 20 - size * size * 10) / (size * size)) - 1) * 10;
+}
+
+function qrEncode(text){
+  // returns rows of booleans (true = dark), without the quiet zone
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let ver = 1;
+  while(ver <= 40 && 4 + (ver < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(ver) * 8) ver++;
+  if(ver > 40) throw new Error("Too long for a QR code");
+
+  const size = ver * 4 + 17;
+  const dark = Array.from({ length: size }, () => new Array(size).fill(false));
+  const fixed = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, on) => { dark[y][x] = on; fixed[y][x] = true; };
+  for(let i = 0; i < size; i++){
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for(let dy = -4; dy <= 4; dy++){
+      for(let dx = -4; dx <= 4; dx++){
+        const x = cx + dx, y = cy + dy, d = Math.max(Math.abs(dx), Math.abs(dy));
+        if(x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+      }
+    }
+  });
+  const align = qrAlignment(ver, size), last = align.length - 1;
+  align.forEach((ax, i) => align.forEach((ay, j) => {
+    if((i === 0 && (j === 0 || j === last)) || (i === last && j === 0)) return; // under a finder
+    for(let dy = -2; dy <= 2; dy++){
+      for(let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  const format = (mask)=>{
+    const data = (1 << 3) | mask; // 1 = error correction level L
+    let rem = data;
+    for(let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for(let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for(let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for(let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for(let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  };
+  format(0); // reserve the area before placing data
+  if(ver >= 7){
+    let rem = ver;
+    for(let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (ver << 12) | rem;
+    for(let i = 0; i < 18; i++){
+      const on = ((bits >>> i) & 1) === 1, a = size - 11 + i % 3, b = Math.floor(i / 3);
+      set(a, b, on);
+      set(b, a, on);
+    }
+  }
+
+  // data goes up and down in two-column strips from the bottom right, skipping the timing column
+  const words = qrCodewords(bytes, ver);
+  let n = 0;
+  for(let right = size - 1; right >= 1; right -= 2){
+    if(right === 6) right = 5;
+    for(let v = 0; v < size; v++){
+      for(let j = 0; j < 2; j++){
+        const x = right - j, y = ((right + 1) & 2) === 0 ? size - 1 - v : v;
+        if(!fixed[y][x] && n < words.length * 8){
+          dark[y][x] = ((words[n >>> 3] >>> (7 - (n & 7))) & 1) === 1;
+          n++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (m)=>{
+    for(let y = 0; y < size; y++){
+      for(let x = 0; x < size; x++) if(!fixed[y][x] && QR_MASKS[m](x, y)) dark[y][x] = !dark[y][x];
+    }
+  };
+  let best = 0, bestScore = Infinity;
+  QR_MASKS.forEach((_, m) => {
+    applyMask(m);
+    format(m);
+    const score = qrPenalty(dark);
+    if(score < bestScore){ best = m; bestScore = score; }
+    applyMask(m); // masking twice undoes it
+  });
+  applyMask(best);
+  format(best);
+  return dark;
+}
+
+function drawQR(canvas, text){
+  const modules = qrEncode(text);
+  const n = modules.length + 8; // 4-module quiet zone all round
+  const scale = Math.max(2, Math.floor(640 / n));
+  canvas.width = canvas.height = n * scale;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#000";
+  modules.forEach((row, y) => row.forEach((on, x) => { if(on) ctx.fillRect((x + 4) * scale, (y + 4) * scale, scale, scale); }));
+}
+
+function canScanQR(){
+  return "BarcodeDetector" in window && !!navigator.mediaDevices?.getUserMedia;
+}
+
+function scanQR(video, onCode){
+  // camera preview in `video` until a QR code is read; returns a function that stops it
+  const detector = new BarcodeDetector({ formats: ["qr_code"] });
+  let stream = null, poll = 0, stopped = false;
+  const stop = ()=>{
+    stopped = true;
+    clearTimeout(poll);
+    stream?.getTracks().forEach(t => t.stop());
+    video.srcObject = null;
+    video.classList.add("hidden");
+  };
+  navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } }).then(s => {
+    if(stopped){ s.getTracks().forEach(t => t.stop()); return; }
+    stream = s;
+    video.srcObject = s;
+    video.classList.remove("hidden");
+    video.play().catch(()=>{});
+    const look = async ()=>{
+      const codes = await detector.detect(video).catch(()=> []);
+      if(stopped) return;
+      if(codes.length){
+        stop();
+        onCode(codes[0].rawValue);
+      } else poll = setTimeout(look, 250);
+    };
+    look();
+  }).catch(err => {
+    stop();
+    toast(err.name === "NotAllowedError" ? "Camera access was denied" : err.message);
+  });
+  return stop;
+}
+
+// ---------- Paired timing (two devices) ----------
+// The finish device makes an offer code, the start device answers it (as text or a QR code), and the two talk over a
+// WebRTC data channel with no STUN/TURN servers, so it works on a shared Wi-Fi or hotspot offline.
+// Clocks are matched NTP-style: offset = start device's performance.now() minus ours.
+const PAIR_CODE_PREFIX = "DST1:";
+const PAIR_SYNC = { pings: 8, everyMs: 15000 };
+
+let pair = { pc:null, channel:null, role:"", state:"", offset:0, rtt:null, samples:[], syncTimer:0, onStart:null, onResult:null, onReset:null };
+
+function pairConnected(){
+  return pair.channel?.readyState === "open";
+}
+
+function encodePairCode(desc){
+  return PAIR_CODE_PREFIX + btoa(JSON.stringify({ type: desc.type, sdp: desc.sdp }));
+}
+
+function decodePairCode(code){
+  const raw = (code || "").trim().replace(/\s+/g, "");
+  if(!raw.startsWith(PAIR_CODE_PREFIX)) throw new Error("That isn't a pairing code");
+  return JSON.parse(atob(raw.slice(PAIR_CODE_PREFIX.length)));
+}
+
+function newPeer(role){
+  closePair();
+  if(!window.RTCPeerConnection) throw new Error("This browser can't pair devices (no WebRTC)");
+  const pc = new RTCPeerConnection({ iceServers: [] });
+  pair = { ...pair, pc, role, state:"pairing", offset:0, rtt:null, samples:[] };
+  pc.addEventListener("connectionstatechange", ()=>{
+    if(["failed", "closed"].includes(pc.connectionState) && pair.pc === pc){
+      closePair();
+      toast("Paired device disconnected");
+      render();
+    }
+  });
+  return pc;
+}
+
+function iceGathered(pc){
+  // codes are exchanged by hand, so wait for every candidate instead of trickling them
+  return new Promise(resolve => {
+    if(pc.iceGatheringState === "complete") return resolve();
+    pc.addEventListener("icegatheringstatechange", ()=>{ if(pc.iceGatheringState === "complete") resolve(); });
+    setTimeout(resolve, 3000);
+  });
+}
+
+function setupChannel(channel){
+  pair.channel = channel;
+  channel.addEventListener("open", ()=>{
+    pair.state = "connected";
+    if(pair.role === "finish") syncClocks();
+    toast(`Paired as ${pair.role} device`);
+    modal.close();
+    render();
+  });
+  channel.addEventListener("close", ()=>{
+    if(pair.channel !== channel) return;
+    closePair();
+    render();
+  });
+  channel.addEventListener("message", (e)=>{
+    let msg;
+    try{ msg = JSON.parse(e.data); }catch(err){ return; }
+    const now = performance.now();
+    if(msg.type === "ping") sendPair({ type:"pong", t0: msg.t0, t1: now });
+    else if(msg.type === "pong") addSyncSample(msg.t0, msg.t1, now);
+    else if(msg.type === "sync") showSync(msg.rtt);
+    else if(msg.type === "start") pair.onStart?.(msg.at - pair.offset, msg.method);
+    else if(msg.type === "result") pair.onResult?.(msg.timeMs);
+    else if(msg.type === "reset") pair.onReset?.();
+  });
+}
+
+function sendPair(msg){
+  if(pairConnected()) pair.channel.send(JSON.stringify(msg));
+}
+
+function syncClocks(){
+  // the finish device measures; a burst of pings now and again keeps up with clock drift
+  clearInterval(pair.syncTimer);
+  const burst = ()=>{
+    pair.samples = [];
+    for(let i = 0; i < PAIR_SYNC.pings; i++) setTimeout(()=> sendPair({ type:"ping", t0: performance.now() }), i * 100);
+  };
+  burst();
+  pair.syncTimer = setInterval(burst, PAIR_SYNC.everyMs);
+}
+
+function addSyncSample(t0, t1, t2){
+  // the sample with the shortest round trip has the least room for one-way delay skew
+  const rtt = t2 - t0;
+  pair.samples.push({ rtt, offset: t1 - (t0 + rtt / 2) });
+  const best = pair.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  pair.offset = best.offset;
+  showSync(best.rtt);
+  sendPair({ type:"sync", rtt: best.rtt });
+}
+
+function showSync(rtt){
+  pair.rtt = rtt;
+  const el = $("#pairStatus");
+  if(el) el.textContent = pairStatusText();
+}
+
+function closePair(){
+  clearInterval(pair.syncTimer);
+  try{ pair.channel?.close(); pair.pc?.close(); }catch(err){ /* already closed */ }
+  pair = { ...pair, pc:null, channel:null, role:"", state:"", offset:0, rtt:null, samples:[], syncTimer:0 };
+}
+
+function pairStatusText(){
+  if(!pairConnected()) return "Not paired. Use two phones when one can't see both the start and finish line.";
+  const sync = pair.rtt == null ? "syncing clocks…" : `clocks synced to ±${Math.max(1, Math.round(pair.rtt / 2))} ms`;
+  return pair.role === "start"
+    ? `Start device • ${sync}. Starting the timer here starts it on the finish device.`
+    : `Finish device • ${sync}. The clock starts when the start device starts; tap Stop at the finish.`;
+}
+
+function viewPairCard(){
+  return `
+    <section class="card">
+      <div class="row space-between wrap">
+        <h2>Paired timing</h2>
+        ${pairConnected() ? `<span class="pill">${pair.role === "start" ? "🟢 Start" : "🏁 Finish"}</span>` : ""}
+      </div>
+      <p class="small-note" id="pairStatus" style="margin-top:0;">${escapeHTML(pairStatusText())}</p>
+      <div class="row wrap" style="margin-top:10px;">
+        ${pairConnected() ? `
+          <button class="btn ghost" type="button" id="pairCloseBtn">Disconnect</button>
+        ` : `
+          <button class="btn" type="button" id="pairFinishBtn">This is the finish</button>
+          <button class="btn" type="button" id="pairStartBtn">This is the start</button>
+        `}
+      </div>
+    </section>
+  `;
+}
+
+function wirePairCard(){
+  $("#pairCloseBtn")?.addEventListener("click", ()=>{
+    closePair();
+    render();
+  });
+  $("#pairFinishBtn")?.addEventListener("click", ()=> openPairing("finish"));
+  $("#pairStartBtn")?.addEventListener("click", ()=> openPairing("start"));
+}
+
+function pairCodeHTML(id, label, readonly){
+  // a code to send also shows as a QR code; one to receive can be scanned where the browser can read them
+  return `
+    ${readonly ? `<canvas id="${id}QR" class="qr hidden"></canvas>` : ""}
+    <label>${label}
+      <textarea id="${id}" rows="4" spellcheck="false" style="font-family:monospace; font-size:12px;" ${readonly ? "readonly" : ""} placeholder="${readonly ? "Preparing…" : "Paste the code here"}"></textarea>
+    </label>
+    ${!readonly && canScanQR() ? `
+      <video id="${id}Scan" class="qr hidden" playsinline muted></video>
+      <div class="row wrap"><button class="btn ghost" type="button" data-scan="${id}">Scan QR code</button></div>
+    ` : ""}
+  `;
+}
+
+function showPairCode(id, code){
+  $(`#${id}`).value = code;
+  try{
+    drawQR($(`#${id}QR`), code);
+    $(`#${id}QR`).classList.remove("hidden");
+  }catch(err){ /* too long for a QR code: the text code still works */ }
+}
+
+function openPairing(role){
+  // finish: offer → (start pastes, answers) → paste answer. start: paste offer → show answer.
+  modal.open(
+    role === "finish" ? "Pair: finish device" : "Pair: start device",
+    role === "finish" ? `
+      <p>1. Scan this QR code with the start device, or send it the code (copy, share or read it out of a message app).</p>
+      ${pairCodeHTML("pairOffer", "Code for the start device", true)}
+      <div class="row wrap"><button class="btn ghost" type="button" data-copy="pairOffer">Copy / share</button></div>
+      <p style="margin-top:10px;">2. Scan or paste the reply code from the start device.</p>
+      ${pairCodeHTML("pairAnswerIn", "Reply from the start device", false)}
+      <p class="small-note">Both phones need to be on the same Wi-Fi or hotspot. No internet is needed.</p>
+    ` : `
+      <p>1. Scan or paste the code from the finish device.</p>
+      ${pairCodeHTML("pairOfferIn", "Code from the finish device", false)}
+      <div class="row wrap"><button class="btn" type="button" id="pairMakeAnswer">Create reply</button></div>
+      <div id="pairAnswerBox" class="hidden">
+        <p style="margin-top:10px;">2. Scan this reply with the finish device, or send it back.</p>
+        ${pairCodeHTML("pairAnswer", "Reply for the finish device", true)}
+        <div class="row wrap"><button class="btn ghost" type="button" data-copy="pairAnswer">Copy / share</button></div>
+      </div>
+    `,
+    `
+      <button class="btn ghost" type="button" id="pairCancel">Cancel</button>
+      ${role === "finish" ? `<button class="btn primary" type="button" id="pairConnect">Connect</button>` : ""}
+    `
+  );
+
+  let stopScan = null;
+  modal.onClose = ()=>{
+    stopScan?.();
+    if(!pairConnected()) closePair();
+  };
+  $("#pairCancel").addEventListener("click", modal.close);
+  // #modalBody outlives this dialog, so bind to the buttons rather than delegating from it
+  $$("#modalBody [data-copy]").forEach(btn => btn.addEventListener("click", async ()=>{
+    const id = btn.dataset.copy;
+    const text = $(`#${id}`).value;
+    if(!text) return;
+    try{
+      if(navigator.share) await navigator.share({ title: "Dog Sports Tracking pairing code", text });
+      else{ await navigator.clipboard.writeText(text); toast("Copied"); }
+    }catch(err){
+      $(`#${id}`).select();
+    }
+  }));
+
+  const fail = (err)=>{
+    toast(err.message || "Pairing failed");
+  };
+  // a scanned code goes straight on to the next step
+  const next = { pairAnswerIn: "#pairConnect", pairOfferIn: "#pairMakeAnswer" };
+  $$("#modalBody [data-scan]").forEach(btn => btn.addEventListener("click", ()=>{
+    const id = btn.dataset.scan;
+    stopScan?.();
+    stopScan = scanQR($(`#${id}Scan`), (code)=>{
+      $(`#${id}`).value = code;
+      $(next[id])?.click();
+    });
+  }));
+
+  if(role === "finish"){
+    (async ()=>{
+      const pc = newPeer("finish");
+      setupChannel(pc.createDataChannel("timing", { ordered: true }));
+      await pc.setLocalDescription(await pc.createOffer());
+      await iceGathered(pc);
+      if($("#pairOffer")) showPairCode("pairOffer", encodePairCode(pc.localDescription));
+    })().catch(fail);
+    $("#pairConnect").addEventListener("click", async ()=>{
+      try{
+        await pair.pc.setRemoteDescription(decodePairCode($("#pairAnswerIn").value));
+        $("#pairConnect").textContent = "Connecting…";
+      }catch(err){ fail(err); }
+    });
+  } else {
+    $("#pairMakeAnswer").addEventListener("click", async ()=>{
+      try{
+        const offer = decodePairCode($("#pairOfferIn").value);
+        const pc = newPeer("start");
+        pc.addEventListener("datachannel", (e)=> setupChannel(e.channel));
+        await pc.setRemoteDescription(offer);
+        await pc.setLocalDescription(await pc.createAnswer());
+        await iceGathered(pc);
+        $("#pairAnswerBox").classList.remove("hidden");
+        showPairCode("pairAnswer", encodePairCode(pc.localDescription));
+      }catch(err){ fail(err); }
+    });
+  }
+}
+
+// ---------- Record (timer + manual) ----------
+// timer.start is on the performance.now() clock; saveTimer() stores it as a wall-clock time so a
+// run keeps going through re-renders, tab switches and reloads. onTick is set by the latest Record render.
+let timer = { running:false, start:0, elapsed:0, raf:0, splits:[], method:"", source:"", video:null, track:null, startedAt:null, onTick:null };
+
+function saveTimer(){
+  if(!timer.running && !timer.elapsed){ localStorage.removeItem(TIMER_KEY); return; }
+  const { running, elapsed, splits, method, source, video, track, startedAt } = timer;
+  const startWall = running ? Date.now() - (performance.now() - timer.start) : null;
+  try{ localStorage.setItem(TIMER_KEY, JSON.stringify({ running, startWall, elapsed, splits, method, source, video, track, startedAt })); }
+  catch { /* full or blocked: the run still times, it just won't survive a reload */ }
+}
+
+function loadTimer(){
+  const t = safeJSONParse(localStorage.getItem(TIMER_KEY), null);
+  if(!t || typeof t !== "object") return;
+  const running = !!t.running && Number.isFinite(t.startWall);
+  Object.assign(timer, {
+    running,
+    start: running ? performance.now() - (Date.now() - t.startWall) : 0,
+    elapsed: running ? Date.now() - t.startWall : Number(t.elapsed) || 0,
+    splits: Array.isArray(t.splits) ? t.splits : [],
+    method: START_METHODS[t.method] ? t.method : "",
+    source: TIMING_SOURCES[t.source] ? t.source : "",
+    video: t.video || null,
+    track: Array.isArray(t.track) ? t.track : null,
+    startedAt: t.startedAt || null
+  });
+  if(timer.running) runTimerLoop();
+}
+
+function runTimerLoop(){
+  cancelAnimationFrame(timer.raf);
+  const tick = ()=>{
+    if(!timer.running) return;
+    timer.elapsed = performance.now() - timer.start;
+    const el = $("#timerDisplay");
+    if(el){
+      el.textContent = formatTime(timer.elapsed);
+      timer.onTick?.();
+    }
+    showTimerIndicator();
+    timer.raf = requestAnimationFrame(tick);
+  };
+  timer.raf = requestAnimationFrame(tick);
+}
+
+function showTimerIndicator(){
+  // header pill while a run is on the clock (or stopped but unsaved) and Record isn't showing it
+  const el = $("#timerIndicator");
+  if(!el) return;
+  el.classList.toggle("hidden", !!$("#timerDisplay") || !(timer.running || timer.elapsed > 0));
+  el.textContent = `⏱ ${formatTime(timer.elapsed)}${timer.running ? "" : " • not saved"}`;
+}
+
+$("#timerIndicator")?.addEventListener("click", ()=>{
+  store.settings.historyOpen = false;
+  setTab("record");
+});
+
+function wireRecord(){
+  if($("#runHistory")) return wireHistory();
+  wireEventCard();
+  wireSessionCard();
+  wirePairCard();
+  const dogSelect = $("#recordDog");
+  const distanceSel = $("#recordDistance");
+  const sportSel = $("#recordSport");
+
+  if(dogSelect){
+    dogSelect.addEventListener("change", ()=>{
+      store.settings.activeDogId = dogSelect.value;
+      saveStore(store);
+      render();
+    });
+  }
+
+  distanceSel?.addEventListener("change", ()=> updateKpi());
+  sportSel?.addEventListener("change", ()=>{
+    const def = sportDef(sportSel.value);
+    $("#recordForm").className = sportFormClasses(def.name);
+    if(def.defaultDistanceM) distanceSel.innerHTML = distanceOptionsHTML(store.distances, def.defaultDistanceM);
+    $("#scoringArea").innerHTML = sportFieldsHTML(def.name);
+    updateKpi();
+  });
+
+  // keep "Qualifying" in step with faults until the handler sets it by hand
+  $("#scoringArea")?.addEventListener("input", (e)=>{
+    const q = $("#scQualified");
+    if(e.target === q) q.dataset.touched = "1";
+    else if(q && !q.dataset.touched) q.checked = autoQualified(sportSel.value, readScore(sportSel.value));
+    updateKpi();
+  });
+
+  $("#startMethod")?.addEventListener("change", (e)=>{
+    stopCue();
+    store.settings.startMethod = e.target.value;
+    saveStore(store);
+    resetTimerLabels();
+  });
+
+  $("#startStopBtn")?.addEventListener("click", ()=>{
+    if(timer.running){
+      // a tap always stops, even in sound mode
+      stopCue();
+      stopTimer(performance.now());
+      return;
+    }
+    if(cue.mode){
+      stopCue();
+      resetTimerLabels();
+      return;
+    }
+    const method = store.settings.startMethod;
+    if(method === "countdown") armCountdown();
+    else if(method === "audio") armMic();
+    else startTimer(performance.now(), "tap");
+  });
+
+  $("#splitBtn")?.addEventListener("click", ()=>{
+    if(!timer.running){ toast("Start the timer first"); return; }
+    const dist = parseFloat($("#recordDistance").value);
+    const atM = round((timer.splits.length + 1) * (store.settings.splitEveryM || 50), 4);
+    if(atM >= dist){ toast("Tap Stop at the finish"); return; }
+    timer.splits.push({ atM, timeMs: Math.round(performance.now() - timer.start) });
+    saveTimer();
+    updateKpi();
+  });
+
+  $("#resetBtn")?.addEventListener("click", ()=>{
+    resetTimer();
+    updateKpi();
+  });
+
+  $("#manualBtn")?.addEventListener("click", ()=>{
+    const current = (timer.elapsed>0 ? (timer.elapsed/1000).toFixed(2) : "");
+    modal.open(
+      "Enter time manually",
+      `
+        <form class="form" id="manualForm">
+          <label>Time (seconds, or mm:ss.xx)
+            <input id="manualTime" type="text" placeholder="e.g., 10.52 or 00:10.52" value="${current}">
+          </label>
+          <button class="btn primary" type="submit">Use this time</button>
+          <p class="small-note">This sets the timer display so you can save the run.</p>
+        </form>
+      `,
+      `<button class="btn ghost" type="button" id="cancelManual">Cancel</button>`
+    );
+    $("#cancelManual").addEventListener("click", modal.close);
+    $("#manualForm").addEventListener("submit", (e)=>{
+      e.preventDefault();
+      const ms = parseTimeString($("#manualTime").value);
+      if(ms == null || ms <= 0){ toast("Enter a valid time"); return; }
+      stopCue();
+      timer.elapsed = ms;
+      timer.splits = []; // a typed time has no intermediate marks
+      timer.method = "manual";
+      timer.source = "";
+      timer.video = null;
+      timer.track = null;
+      timer.running = false;
+      cancelAnimationFrame(timer.raf);
+      saveTimer();
+      $("#startStopBtn").textContent = "Start";
+      $("#timerDisplay").textContent = formatTime(timer.elapsed);
+      updateKpi();
+      modal.close();
+    });
+  });
+
+  $("#videoBtn")?.addEventListener("click", ()=>{
+    if(timer.running){ toast("Stop the timer first"); return; }
+    openVideoTiming((ms, marks)=>{
+      stopCue();
+      timer.elapsed = ms;
+      timer.splits = [];
+      timer.method = "";
+      timer.source = "video";
+      timer.video = marks;
+      timer.track = null;
+      saveTimer();
+      $("#startStopBtn").textContent = "Start";
+      $("#timerDisplay").textContent = formatTime(timer.elapsed);
+      $("#timerSub").textContent = `Timed from video (${marks.fps} fps). Ready to save.`;
+      updateKpi();
+    });
+  });
+
+  $("#gpsMode")?.addEventListener("change", (e)=>{
+    store.settings.gpsMode = e.target.checked;
+    saveStore(store);
+    if(e.target.checked) watchGps();
+    else if(!timer.running) stopGpsWatch();
+    showGpsStatus();
+  });
+  if(store.settings.gpsMode) watchGps();
+
+  $("#gpxBtn")?.addEventListener("click", ()=>{
+    if(timer.running){ toast("Stop the timer first"); return; }
+    $("#gpxInput").click();
+  });
+  $("#gpxInput")?.addEventListener("change", async (e)=>{
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if(!file) return;
+    try{
+      const gpx = parseGPX(await file.text());
+      const stats = trackStats(gpx.track);
+      if(!stats || !(stats.distanceM > 0)) throw new Error("The GPX track doesn't move");
+      stopCue();
+      timer.elapsed = stats.timeMs;
+      timer.splits = [];
+      timer.method = "";
+      timer.source = "gps";
+      timer.video = null;
+      timer.track = gpx.track;
+      timer.startedAt = gpx.startedAt;
+      saveTimer();
+      $("#startStopBtn").textContent = "Start";
+      $("#timerDisplay").textContent = formatTime(timer.elapsed);
+      $("#timerSub").textContent = `From ${file.name}. Ready to save.`;
+      showGpsStatus();
+      updateKpi();
+    }catch(err){
+      toast(err.message);
+    }
+  });
+
+  $("#saveRunBtn")?.addEventListener("click", ()=>{
+    if(!store.dogs.length){ toast("Add a dog first"); return; }
+    if(pair.role === "start" && pairConnected()){ toast("Save the run on the finish device"); return; }
+    const dogId = $("#recordDog").value;
+    const sport = $("#recordSport").value;
+    const gps = hasField(sport, "distance") && hasField(sport, "time") ? trackStats(timer.track) : null;
+    // a usable track replaces the picked distance with the measured one
+    const distanceM = gps ? round(gps.distanceM, 1) : hasField(sport, "distance") ? parseFloat($("#recordDistance").value) : 0;
+    const timeMs = hasField(sport, "time") ? Math.round(timer.elapsed) : 0;
+    const notes = ($("#recordNotes").value||"").trim();
+
+    if(timer.running){ toast("Stop the timer first"); return; }
+    if(hasField(sport, "time") && timeMs <= 0){ toast("Record a time first"); return; }
+
+    const run = {
+      id: uid(),
+      dogId,
+      distanceM,
+      timeMs,
+      // the track starts at the first fix, not at Start, so its speed comes from its own duration
+      speedKmh: gps && timeMs ? round(gps.avgKmh, 4) : distanceM && timeMs ? round(speedKmh(distanceM, timeMs), 4) : 0,
+      sport,
+      notes,
+      splits: distanceM && timeMs ? timer.splits.filter(s => s.atM < distanceM && s.timeMs < timeMs) : [],
+      createdAt: timer.source === "gps" && timer.startedAt ? timer.startedAt : nowISO()
+    };
+    if(gps){
+      run.track = gps.points;
+      if(gps.topKmh) run.topSpeedKmh = round(Math.max(gps.topKmh, run.speedKmh), 4);
+    }
+    const score = readScore(sport);
+    if(score) run.score = score;
+    const heightClass = $("#scHeightClass")?.value;
+    if(heightClass) run.heightClass = heightClass;
+    const ev = activeEvent();
+    if(ev) run.eventId = ev.id;
+    const session = activeSession();
+    if(session) run.sessionId = session.id;
+    if(timeMs && timer.method) run.startMethod = timer.method;
+    if(timeMs && timer.source){
+      run.timingSource = timer.source;
+      if(timer.video) run.video = timer.video;
+    }
+    const planned = session && !ev ? nextRep(session, dogId) : null;
+
+    store.runs.push(run);
+
+    // event mode: queue up the next dog still to run in the current round, counting on from this dog's place
+    const todo = ev ? eventQueue(ev).filter(x => !x.run) : [];
+    const open = todo.filter(x => x.round === todo[0].round);
+    const next = ev && (open.find(x => ev.order.indexOf(x.dogId) > ev.order.indexOf(dogId)) || open[0]);
+    if(next) store.settings.activeDogId = next.dogId;
+    saveStore(store);
+
+    // PB check (both lists already include the new run)
+    const isPB = personalBests(dogId).get(pbKey(sport, distanceM, heightClass))?.id === run.id;
+    const isTop = bestRunForDog(dogId)?.id === run.id;
+    if(isPB) toast(`Saved! 🏆 New ${[distLabel(distanceM), heightClass, sport].filter(Boolean).join(" ")} PB${isTop ? " • ⚡ top speed" : ""}`);
+    else toast(isTop ? "Saved! ⚡ New top speed" : "Saved run");
+    if(ev) setTimeout(()=> toast(next ? `Next up: ${dogsById().get(next.dogId)?.name}` : "Event complete 🏁"), 1600);
+
+    // training plan: rest before the next rep, or call the plan done
+    if(planned && planned.index + 1 < planned.total) startRest(planned.restS);
+    else if(planned) setTimeout(()=> toast(`Plan complete for ${dogsById().get(dogId)?.name} ✅`), 1600);
+
+    resetTimer();
+    // events and sessions move on to the next dog/rep, so their cards need the full render;
+    // otherwise only the run list changes and the picked sport and distance stay for the next run
+    if(ev || session){ render(); return; }
+    renderSubtitle();
+    $("#recordNotes").value = "";
+    $("#scoringArea").innerHTML = sportFieldsHTML(sport);
+    $("#recentRuns").innerHTML = recentRunsHTML(dogId);
+    wireRunTable();
+    updateKpi();
+  });
+
+  $("#clearRunsForDog")?.addEventListener("click", ()=>{
+    const dogId = store.settings.activeDogId || $("#recordDog")?.value;
+    if(!dogId) return;
+    const dog = store.dogs.find(d=> d.id === dogId);
+    if(!confirm(`Clear all runs for ${dog?.name || "this dog"}?`)) return;
+    const entry = moveToTrash(`Runs of ${dog?.name || "a dog"}`, { runs: r => r.dogId === dogId });
+    saveStore(store);
+    render();
+    undoToast(entry, "Cleared runs");
+  });
+
+  $("#openHistory")?.addEventListener("click", ()=>{
+    if(timer.running){ toast("Stop the timer first"); return; }
+    stopCue();
+    store.settings.historyOpen = true;
+    store.settings.historyFilter = { ...store.settings.historyFilter, dogId: $("#recordDog")?.value || "" };
+    historyPage = 0;
+    saveStore(store);
+    render();
+  });
+  wireRunTable();
+
+  // paired timing: the latest render owns the hooks
+  pair.onStart = (at, method)=>{
+    // the timer runs on any tab, so a start signal is never dropped
+    if(pair.role !== "finish") return;
+    resetTimer();
+    startTimer(at, START_METHODS[method] ? method : "tap");
+    timer.source = "paired";
+    saveTimer();
+    navigator.vibrate?.(150);
+    if(!$("#startStopBtn")) toast("Run started from the start device");
+  };
+  pair.onResult = (timeMs)=>{
+    if(pair.role !== "start") return;
+    if(timer.running) stopTimer(timer.start + timeMs);
+    toast(`Finish: ${formatTime(timeMs)}`);
+  };
+  pair.onReset = ()=>{
+    if(pair.role !== "finish" || timer.source !== "paired" || !timer.running) return;
+    resetTimer();
+    updateKpi();
+    toast("Start device reset the run");
+  };
+
+  // a run on the clock, or stopped but not saved yet, picks up where it was
+  timer.onTick = updateKpi;
+  if(timer.running && $("#timerSub")) $("#timerSub").textContent = "Running… tap Stop to finish.";
+  else if(timer.elapsed && $("#timerSub")) $("#timerSub").textContent = "Ready to save.";
+  else if(!cue.mode) resetTimerLabels();
+  updateKpi();
+
+  // start/stop/reset also run from paired-timing messages while another tab is showing
+  function show(sel, text){
+    const el = $(sel);
+    if(el) el.textContent = text;
+  }
+
+  function startTimer(at, method){
+    // resuming after a stop keeps the original start method and track; the stopwatch replaces a video or GPX time
+    if(!timer.elapsed || !timer.method){
+      timer.method = method;
+      timer.track = store.settings.gpsMode && hasField($("#recordSport")?.value || store.settings.defaultSport, "distance") ? [] : null;
+    }
+    timer.source = "";
+    timer.video = null;
+    timer.startedAt = null;
+    timer.running = true;
+    timer.start = at - timer.elapsed;
+    saveTimer();
+    if(pair.role === "start") sendPair({ type:"start", at: timer.start, method: timer.method });
+    show("#startStopBtn", "Stop");
+    show("#timerSub", cue.mode === "listening" && store.settings.micStop
+      ? "Running… whistle or tap Stop to finish."
+      : "Running… tap Stop to finish.");
+    runTimerLoop();
+  }
+
+  function stopTimer(at){
+    timer.running = false;
+    cancelAnimationFrame(timer.raf);
+    timer.elapsed = at - timer.start;
+    saveTimer();
+    if(timer.source === "paired") sendPair({ type:"result", timeMs: Math.round(timer.elapsed) });
+    show("#timerDisplay", formatTime(timer.elapsed));
+    show("#startStopBtn", "Start");
+    show("#timerSub", "Ready to save.");
+    showTimerIndicator();
+    updateKpi();
+  }
+
+  function resetTimer(){
+    // a false start on the start device cancels the run on the finish device too
+    if(pair.role === "start" && timer.running) sendPair({ type:"reset" });
+    stopCue();
+    timer.running = false;
+    cancelAnimationFrame(timer.raf);
+    timer.elapsed = 0;
+    timer.splits = [];
+    timer.method = "";
+    timer.source = "";
+    timer.video = null;
+    timer.track = null;
+    timer.startedAt = null;
+    saveTimer();
+    show("#timerDisplay", "00:00.00");
+    showTimerIndicator();
+    showGpsStatus();
+    resetTimerLabels();
+  }
+
+  function resetTimerLabels(){
+    if(timer.running || !$("#timerSub")) return;
+    $("#timerSub").textContent = {
+      tap: "Tap Start. Tap Stop. Save the run.",
+      countdown: `Tap Start for a ${store.settings.countdownS}-second countdown; the clock starts on the long beep.`,
+      audio: "Tap Start, then whistle or clap to start the clock."
+    }[store.settings.startMethod] || "";
+    $("#startStopBtn").textContent = "Start";
+  }
+
+  function armCountdown(){
+    $("#startStopBtn").textContent = "Cancel";
+    startCountdown(store.settings.countdownS,
+      (n)=>{ if($("#timerSub")) $("#timerSub").textContent = `${n}…`; },
+      (goAt)=>{
+        // the Record tab may have been re-rendered or left during the countdown
+        if(!$("#startStopBtn")) return;
+        startTimer(goAt, "countdown");
+        navigator.vibrate?.(150);
+      });
+    $("#timerSub").textContent = `${store.settings.countdownS}…`;
+  }
+
+  async function armMic(){
+    $("#startStopBtn").textContent = "Cancel";
+    $("#timerSub").textContent = "Asking for the microphone…";
+    try{
+      const listening = await listenForSound(store.settings.micThreshold, (at)=>{
+        // stop listening once the Record tab is gone
+        if(!$("#startStopBtn")){ stopCue(); return; }
+        if(!timer.running){
+          startTimer(at, "audio");
+          if(!store.settings.micStop) stopCue();
+        } else {
+          stopCue();
+          stopTimer(at);
+        }
+      });
+      if(listening) show("#timerSub", "Listening… whistle or clap to start.");
+    }catch(err){
+      stopCue();
+      resetTimerLabels();
+      toast(err.name === "NotAllowedError" ? "Microphone access was denied" : err.message);
+    }
+  }
+
+  function watchGps(){
+    const ok = startGpsWatch((fix)=>{
+      // leaving Record between runs switches the receiver off
+      if(!$("#recordForm") && !timer.running){ stopGpsWatch(); return; }
+      if(fix && timer.running && timer.track){
+        timer.track.push({ t: Math.round(performance.now() - timer.start), lat: round(fix.lat, 7), lon: round(fix.lon, 7) });
+        saveTimer();
+      }
+      showGpsStatus();
+    });
+    if(!ok) toast("This device has no GPS");
+  }
+
+  function showGpsStatus(){
+    const el = $("#gpsStatus");
+    if(!el) return;
+    const stats = trackStats(timer.track);
+    el.textContent = timer.track && (timer.running || stats)
+      ? `GPS track: ${timer.track.length} points${stats ? ` • ${distLabel(stats.distanceM)} • peak ${speedText(stats.topKmh)}` : ""}`
+      : !store.settings.gpsMode ? ""
+      : gpsWatch.accuracy == null ? "Waiting for GPS…"
+      : gpsWatch.accuracy <= GPS.maxAccuracyM ? `GPS ready (±${Math.round(gpsWatch.accuracy)} m)`
+      : `GPS too weak (±${Math.round(gpsWatch.accuracy)} m) — move into the open`;
+    updateKpi();
+  }
+
+  function updateKpi(){
+    const sport = $("#recordSport")?.value || store.settings.defaultSport;
+    const gps = hasField(sport, "time") ? trackStats(timer.track) : null;
+    const dist = !hasField(sport, "distance") ? 0 : gps ? gps.distanceM : parseFloat($("#recordDistance")?.value || store.settings.defaultDistanceM);
+    const ms = hasField(sport, "time") ? timer.elapsed : 0;
+    const spd = ms>0 && gps ? gps.avgKmh : ms>0 && dist ? speedKmh(dist, ms) : 0;
+    const dogId = $("#recordDog")?.value || store.settings.activeDogId;
+    const heightClass = $("#scHeightClass")?.value || "";
+    const pb = dogId ? personalBests(dogId).get(pbKey(sport, dist, heightClass)) : null;
+    const pbTxt = pb ? resultMetric(pb) : "—";
+    const pbLabel = [sport, distLabel(dist), heightClass].filter(Boolean).join(" ");
+    const score = readScore(sport);
+
+    // while running only the completed segments are known
+    let segs = runSegments({ distanceM: dist, timeMs: ms, splits: timer.splits });
+    if(timer.running) segs = segs.slice(0, -1);
+
+    const area = $("#kpiArea");
+    if(!area) return;
+    area.innerHTML = `
+      ${dist ? `<span class="badge">${gps ? "GPS distance" : "Distance"} <strong>${distLabel(dist)}</strong></span>` : ""}
+      ${gps?.topKmh ? `<span class="badge">⚡ Peak <strong>${speedText(gps.topKmh)}</strong></span>` : ""}
+      ${dist && hasField(sport, "time") ? `<span class="badge">Speed <strong>${ms>0 ? speedText(spd) : "—"}</strong></span>` : ""}
+      <span class="badge">${escapeHTML(pbLabel)} PB <strong>${escapeHTML(pbTxt)}</strong></span>
+      ${score && ms>0 ? `<span class="badge">Course time <strong>${formatTime(courseTimeMs({ timeMs: ms, score }))}</strong> • ${escapeHTML(scoreSummary({ score }))}</span>` : ""}
+      ${score && !hasField(sport, "time") ? `<span class="badge">Result <strong>${escapeHTML(scoreSummary({ score }))}</strong></span>` : ""}
+      ${timer.splits.length ? segmentBadges(segs) : ""}
+    `;
+  }
+}
+
+// ---------- Run detail, editing + history ----------
+const HISTORY_PAGE_SIZE = 25;
+let historyPage = 0;
+
+function runTableHTML(runs, { showDog=false }={}){
+  const dogs = dogsById();
+  const cols = showDog ? 6 : 5;
+  return `
+    <table class="table">
+      <thead><tr><th>Date</th>${showDog ? "<th>Dog</th>" : ""}<th>Distance</th><th>Time</th><th>Speed</th><th></th></tr></thead>
+      <tbody id="runRows">
+        ${runs.map(r => `
+          <tr data-runid="${r.id}" class="${r.splits?.length ? 'has-splits' : ''}">
+            <td>${new Date(r.createdAt).toLocaleString()}${showDog ? "" : `<div class="muted">${escapeHTML(r.sport)}</div>`}</td>
+            ${showDog ? `<td>${escapeHTML(dogs.get(r.dogId)?.name || "—")}<div class="muted">${escapeHTML(r.sport)}</div></td>` : ""}
+            <td>${distLabel(r.distanceM) || "—"}</td>
+            <td>${r.timeMs ? formatTime(r.timeMs) : "—"}${timingIcon(r)}${r.score || r.heightClass ? `<div class="muted">${escapeHTML(scoreSummary(r))}</div>` : ""}</td>
+            <td>${r.speedKmh ? speedText(r.speedKmh) : "—"}</td>
+            <td>
+              <button class="btn ghost" type="button" data-action="showRun">Details</button>
+              <button class="btn ghost" type="button" data-action="deleteRun">Delete</button>
+            </td>
+          </tr>
+          ${r.splits?.length ? `
+            <tr class="split-row" data-runid="${r.id}">
+              <td colspan="${cols}"><div class="badges">${segmentBadges(runSegments(r))}</div></td>
+            </tr>
+          ` : ""}
+        `).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function wireRunTable(){
+  $("#runRows")?.addEventListener("click", (e)=>{
+    const tr = e.target.closest("[data-runid]");
+    const run = tr && store.runs.find(r => r.id === tr.dataset.runid);
+    if(!run) return;
+    if(e.target.dataset.action === "showRun") openRunDetail(run);
+    if(e.target.dataset.action === "deleteRun") deleteRun(run);
+  });
+}
+
+function viewHistory(){
+  const f = { ...defaultStore().settings.historyFilter, ...store.settings.historyFilter };
+  const runs = store.runs
+    .filter(r => (!f.dogId || r.dogId === f.dogId) && (!f.sport || r.sport === f.sport))
+    .sort((a,b)=> b.createdAt.localeCompare(a.createdAt));
+  const pages = Math.max(1, Math.ceil(runs.length / HISTORY_PAGE_SIZE));
+  historyPage = clamp(historyPage, 0, pages - 1);
+  const page = runs.slice(historyPage * HISTORY_PAGE_SIZE, (historyPage + 1) * HISTORY_PAGE_SIZE);
+
+  return `
+    <section class="card" id="runHistory">
+      <div class="row space-between wrap">
+        <button class="btn ghost" type="button" id="historyBack">← Record</button>
+        <div class="pill">${runs.length} run${runs.length!==1?'s':''}</div>
+      </div>
+      <h2 style="margin-top:12px;">Run history</h2>
+      <div class="row wrap filters">
+        <label>Dog
+          <select id="historyDog">
+            <option value="">All dogs</option>
+            ${store.dogs.map(d => `<option value="${d.id}" ${d.id===f.dogId?'selected':''}>${escapeHTML(d.name)}</option>`).join("")}
+          </select>
+        </label>
+        <label>Sport
+          <select id="historySport">
+            <option value="">All sports</option>
+            ${sportOptionsHTML(sportNames(), f.sport)}
+          </select>
+        </label>
+      </div>
+      <div style="margin-top:10px;">
+        ${page.length ? runTableHTML(page, { showDog: !f.dogId }) : `<div class="item"><div class="muted">No runs match.</div></div>`}
+      </div>
+      ${pages > 1 ? `
+        <div class="row space-between" style="margin-top:10px;">
+          <button class="btn ghost" type="button" id="historyPrev" ${historyPage === 0 ? "disabled" : ""}>← Newer</button>
+          <span class="muted">Page ${historyPage + 1} of ${pages}</span>
+          <button class="btn ghost" type="button" id="historyNext" ${historyPage >= pages - 1 ? "disabled" : ""}>Older →</button>
+        </div>
+      ` : ""}
+    </section>
+  `;
+}
+
+function wireHistory(){
+  const setFilter = (patch)=>{
+    store.settings.historyFilter = { ...store.settings.historyFilter, ...patch };
+    historyPage = 0;
+    saveStore(store);
+    render();
+  };
+  $("#historyBack").addEventListener("click", ()=>{
+    store.settings.historyOpen = false;
+    saveStore(store);
+    render();
+  });
+  $("#historyDog").addEventListener("change", (e)=> setFilter({ dogId: e.target.value }));
+  $("#historySport").addEventListener("change", (e)=> setFilter({ sport: e.target.value }));
+  $("#historyPrev")?.addEventListener("click", ()=>{ historyPage--; render(); });
+  $("#historyNext")?.addEventListener("click", ()=>{ historyPage++; render(); });
+  wireRunTable();
+}
+
+function deleteRun(run){
+  if(!confirm("Delete this run?")) return;
+  const dog = dogsById().get(run.dogId);
+  const entry = moveToTrash(`Run of ${dog?.name || "a dog"} on ${new Date(run.createdAt).toLocaleDateString()}`, { runs: r => r.id === run.id });
+  saveStore(store);
+  render();
+  undoToast(entry, "Deleted run");
+}
+
+function openRunDetail(run){
+  const dog = dogsById().get(run.dogId);
+  const stats = trackStats(run.track);
+  const ev = run.eventId && store.events.find(e => e.id === run.eventId);
+  const session = run.sessionId && store.sessions.find(s => s.id === run.sessionId);
+  const isPB = personalBests(run.dogId).get(pbKey(run.sport, run.distanceM, run.heightClass))?.id === run.id;
+  modal.open(
+    `${dog?.name || "Run"} • ${new Date(run.createdAt).toLocaleString()}`,
+    `
+      <div class="kpi" style="margin-top:0;">
+        <span class="badge">${escapeHTML(run.sport)}${isPB ? " 🏆 PB" : ""}</span>
+        ${run.distanceM ? `<span class="badge">Distance <strong>${distLabel(run.distanceM)}</strong></span>` : ""}
+        ${run.timeMs ? `<span class="badge">Time <strong>${formatTime(run.timeMs)}</strong></span>` : ""}
+        ${run.speedKmh ? `<span class="badge">Average <strong>${speedText(run.speedKmh)}</strong></span>` : ""}
+        ${run.topSpeedKmh ? `<span class="badge">⚡ Peak <strong>${speedText(run.topSpeedKmh)}</strong></span>` : ""}
+        ${run.score || run.heightClass ? `<span class="badge">${escapeHTML(scoreSummary(run))}</span>` : ""}
+        ${run.timingSource || run.startMethod ? `<span class="badge">Timed by <strong>${TIMING_SOURCES[run.timingSource] || START_METHODS[run.startMethod]}</strong></span>` : ""}
+        ${ev ? `<span class="badge">Event <strong>${escapeHTML(ev.name)}</strong></span>` : ""}
+        ${session ? `<span class="badge">Session <strong>${escapeHTML(sessionLabel(session))}</strong></span>` : ""}
+      </div>
+      ${run.splits?.length ? `<div class="badges">${segmentBadges(runSegments(run))}</div>` : ""}
+      ${stats ? `
+        <div class="chart-wrap" style="margin-top:10px;"><canvas id="trackCanvas" width="600" height="360"></canvas></div>
+        <p class="small-note">${stats.points.length} GPS points. Green is slowest, red fastest.</p>
+      ` : ""}
+      ${run.notes ? `<p style="margin-top:10px;">${escapeHTML(run.notes)}</p>` : ""}
+    `,
+    `
+      <button class="btn danger" type="button" id="deleteRunDetail">Delete</button>
+      <button class="btn" type="button" id="editRunDetail">Edit</button>
+      <button class="btn primary" type="button" id="closeRunDetail">Close</button>
+    `
+  );
+  $("#closeRunDetail").addEventListener("click", modal.close);
+  $("#editRunDetail").addEventListener("click", ()=> openRunEditor(run));
+  $("#deleteRunDetail").addEventListener("click", ()=>{
+    deleteRun(run);
+    if(!store.runs.some(r => r.id === run.id)) modal.close();
+  });
+  if(stats) drawTrack($("#trackCanvas"), run.track);
+}
+
+function openRunEditor(run){
+  const sportList = sportNames().includes(run.sport) ? sportNames() : [run.sport, ...sportNames()];
+  modal.open(
+    "Edit run",
+    `
+      <form class="form ${sportFormClasses(run.sport)}" id="runEditForm">
+        <div class="row wrap filters">
+          <label>Dog
+            <select id="reDog">
+              ${store.dogs.map(d => `<option value="${d.id}" ${d.id===run.dogId?'selected':''}>${escapeHTML(d.name)}</option>`).join("")}
+            </select>
+          </label>
+          <label>Sport
+            <select id="reSport">${sportOptionsHTML(sportList, run.sport)}</select>
+          </label>
+        </div>
+        <div class="row wrap filters">
+          <label class="distance-only">Distance (${distUnit()})
+            <input id="reDistance" type="number" min="0" step="any" inputmode="decimal" value="${run.distanceM ? round(toDistUnit(run.distanceM), 2) : ""}">
+          </label>
+          <label class="time-only">Time (seconds, or mm:ss.xx)
+            <input id="reTime" type="text" value="${run.timeMs ? formatTime(run.timeMs) : ""}">
+          </label>
+        </div>
+        <label>Date and time
+          <input id="reDate" type="datetime-local" step="1" value="${localDateTime(run.createdAt)}">
+        </label>
+        <div id="reScore">${sportFieldsHTML(run.sport, run)}</div>
+        <label>Notes
+          <input id="reNotes" type="text" value="${escapeAttr(run.notes || "")}">
+        </label>
+        <p class="small-note">${run.track ? "Speed stays the GPS average unless distance or time change" : "Speed is recalculated from distance and time"}; PBs update on save.</p>
+      </form>
+    `,
+    `
+      <button class="btn ghost" type="button" id="cancelRunEdit">Cancel</button>
+      <button class="btn primary" type="button" id="saveRunEdit">Save changes</button>
+    `
+  );
+
+  const form = $("#runEditForm");
+  $("#cancelRunEdit").addEventListener("click", ()=> openRunDetail(run));
+  $("#reSport").addEventListener("change", (e)=>{
+    form.className = `form ${sportFormClasses(e.target.value)}`;
+    $("#reScore").innerHTML = sportFieldsHTML(e.target.value, { ...run, sport: e.target.value });
+  });
+  // same "Qualifying" follow-the-faults behaviour as the Record form
+  $("#reScore").addEventListener("input", (e)=>{
+    const q = $("#scQualified", form);
+    if(e.target === q) q.dataset.touched = "1";
+    else if(q && !q.dataset.touched) q.checked = autoQualified($("#reSport").value, readScore($("#reSport").value, form));
+  });
+
+  $("#saveRunEdit").addEventListener("click", ()=>{
+    const sport = $("#reSport").value;
+    // the inputs show rounded values: keep the stored ones unless the text was actually edited
+    const dIn = $("#reDistance"), tIn = $("#reTime");
+    const distanceM = !hasField(sport, "distance") ? 0
+      : dIn.value === dIn.defaultValue && run.distanceM ? run.distanceM
+      : distInputM(parseFloat(dIn.value), store.distances);
+    const timeMs = !hasField(sport, "time") ? 0
+      : tIn.value === tIn.defaultValue && run.timeMs ? run.timeMs
+      : parseTimeString(tIn.value);
+    const created = new Date($("#reDate").value);
+    if(hasField(sport, "distance") && !(distanceM > 0)){ toast("Enter a distance"); return; }
+    if(hasField(sport, "time") && !(timeMs > 0)){ toast("Enter a valid time"); return; }
+    if(Number.isNaN(created.getTime())){ toast("Enter a date"); return; }
+
+    const updated = {
+      ...run,
+      dogId: $("#reDog").value,
+      sport,
+      distanceM: round(distanceM, 4),
+      timeMs: Math.round(timeMs),
+      notes: ($("#reNotes").value||"").trim(),
+      createdAt: run.createdAt.slice(0, 19) === created.toISOString().slice(0, 19) ? run.createdAt : created.toISOString()
+    };
+    // a GPS run's speed is the track average; keep it until distance or time is edited
+    const gpsSpeed = run.track && run.speedKmh && updated.distanceM === run.distanceM && updated.timeMs === run.timeMs;
+    updated.speedKmh = gpsSpeed ? run.speedKmh : updated.distanceM && updated.timeMs ? round(speedKmh(updated.distanceM, updated.timeMs), 4) : 0;
+    updated.splits = (run.splits || []).filter(sp => sp.atM < updated.distanceM && sp.timeMs < updated.timeMs);
+    if(updated.timeMs !== run.timeMs){
+      // a hand-corrected time no longer comes from the video, GPS or paired clock
+      delete updated.timingSource;
+      delete updated.video;
+      updated.startMethod = "manual";
+    }
+    const score = readScore(sport, form);
+    if(score) updated.score = score;
+    else delete updated.score;
+    const heightClass = $("#scHeightClass", form)?.value;
+    if(heightClass) updated.heightClass = heightClass;
+    else delete updated.heightClass;
+
+    store.runs = store.runs.map(r => (r.id === run.id ? updated : r));
+    saveStore(store);
+    const isPB = personalBests(updated.dogId).get(pbKey(sport, updated.distanceM, heightClass))?.id === run.id;
+    toast(isPB ? "Saved • 🏆 this run is the PB" : "Saved");
+    modal.close();
+    render();
+  });
+}
+
+// ---------- Leaderboard ----------
+function wireLeaderboard(){
+  const fields = {
+    rankSport: (v)=> ({ sport: v, heightClass: "" }),
+    rankHeightClass: (v)=> ({ heightClass: v }),
+    rankDistance: (v)=> ({ distanceM: parseFloat(v) || 0 }),
+    rankBreed: (v)=> ({ breed: v }),
+    rankFrom: (v)=> ({ from: v }),
+    rankTo: (v)=> ({ to: v })
+  };
+  Object.entries(fields).forEach(([id, toFilter]) => {
+    $(`#${id}`)?.addEventListener("change", (e)=>{
+      store.settings.rankFilter = { ...store.settings.rankFilter, ...toFilter(e.target.value) };
+      saveStore(store);
+      render();
+    });
+  });
+  $("#rankEvent")?.addEventListener("change", (e)=>{
+    store.settings.rankEventId = e.target.value || undefined;
+    saveStore(store);
+    render();
+  });
+  $("#rankReset")?.addEventListener("click", ()=>{
+    store.settings.rankFilter = defaultStore().settings.rankFilter;
+    saveStore(store);
+    render();
+  });
+}
+
+// ---------- Events (competitions with heats) ----------
+function activeEvent(){
+  return store.events.find(e => e.id === store.settings.activeEventId) || null;
+}
+
+function eventRuns(ev){
+  return store.runs.filter(r => r.eventId === ev.id).sort((a,b)=> a.createdAt.localeCompare(b.createdAt));
+}
+
+function eventQueue(ev){
+  // one entry per dog per round in running order; a dog's k-th event run fills its round-k entry
+  const byDog = new Map();
+  eventRuns(ev).forEach(r => {
+    if(!byDog.has(r.dogId)) byDog.set(r.dogId, []);
+    byDog.get(r.dogId).push(r);
+  });
+  const size = ev.heatSize || ev.order.length || 1;
+  const entries = [];
+  for(let round = 1; round <= (ev.rounds || 1); round++){
+    ev.order.forEach((dogId, i) => {
+      entries.push({ dogId, round, heat: Math.floor(i / size) + 1, run: byDog.get(dogId)?.[round - 1] || null });
+    });
+  }
+  return entries;
+}
+
+function eventResults(ev){
+  // best result per dog under the sport's rules; equal results share a place,
+  // dogs without a valid (non-eliminated) run are unplaced
+  const dogs = dogsById();
+  const rows = ev.order.filter(id => dogs.has(id)).map(id => {
+    const runs = eventRuns(ev).filter(r => r.dogId === id);
+    const best = runs.filter(r => !isEliminated(r)).reduce((a, r) => (!a || compareRuns(r, a) < 0 ? r : a), null);
+    return { dog: dogs.get(id), runs, best, place: null };
+  });
+  const ranked = rows.filter(x => x.best).sort((a,b)=> compareRuns(a.best, b.best));
+  ranked.forEach((x, i) => {
+    x.place = i > 0 && compareRuns(ranked[i-1].best, x.best) === 0 ? ranked[i-1].place : i + 1;
+  });
+  return [...ranked, ...rows.filter(x => !x.best)];
+}
+
+function placeMedal(place){
+  return place === 1 ? " 🥇" : place === 2 ? " 🥈" : place === 3 ? " 🥉" : "";
+}
+
+function viewEventCard(){
+  const ev = activeEvent();
+  const queue = ev ? eventQueue(ev) : [];
+  const next = queue.find(x => !x.run);
+  const current = ev && queue.find(x => !x.run && x.dogId === store.settings.activeDogId) || next;
+  const dogs = dogsById();
+
+  return `
+    <section class="card">
+      <div class="row space-between wrap">
+        <h2>Event</h2>
+        <div class="row wrap">
+          <select id="eventSelect">
+            <option value="">Practice (no event)</option>
+            ${store.events.map(e => `<option value="${e.id}" ${e.id===ev?.id?'selected':''}>${escapeHTML(e.name)} • ${escapeHTML(e.date)}</option>`).join("")}
+          </select>
+          <button class="btn ghost" type="button" id="newEventBtn">New event</button>
+        </div>
+      </div>
+      ${ev ? `
+        <div class="badges" style="margin-top:0;">
+          <span class="badge">${escapeHTML(ev.sport)} <strong>${distLabel(ev.distanceM)}</strong></span>
+          ${ev.venue ? `<span class="badge">📍 ${escapeHTML(ev.venue)}</span>` : ""}
+          <span class="badge">Done <strong>${queue.filter(x => x.run).length}/${queue.length}</strong></span>
+          <button class="btn ghost" type="button" id="editEventBtn">Edit</button>
+        </div>
+        ${queue.length ? `
+          <ul class="list queue" id="eventQueue">
+            ${queue.map((x, i) => `
+              ${i === 0 || x.heat !== queue[i-1].heat || x.round !== queue[i-1].round ? `
+                <li class="queue-head">${(ev.rounds || 1) > 1 ? `Round ${x.round} • ` : ""}Heat ${x.heat}</li>
+              ` : ""}
+              <li class="queue-item ${x.run ? "done" : x === current ? "current" : ""}" data-dogid="${x.dogId}">
+                <span>${x === current ? "▶ " : x.run ? "✓ " : ""}${escapeHTML(dogs.get(x.dogId)?.name || "Dog")}</span>
+                ${x.run ? `<span class="muted">${formatTime(x.run.timeMs)}</span>`
+                  : x === current ? `<span class="muted">Up now</span>`
+                  : `<button class="btn ghost" type="button" data-action="runNow">Run now</button>`}
+              </li>
+            `).join("")}
+          </ul>
+        ` : `<p class="small-note">No dogs in the running order. Tap Edit to add some.</p>`}
+        ${queue.length && !next ? `<p class="small-note">All dogs have run. Results are on the Rank tab.</p>` : ""}
+      ` : `<p class="small-note">Create an event to run heats: dogs are queued in running order and results are placed on the Rank tab.</p>`}
+    </section>
+  `;
+}
+
+function viewEventResults(ev){
+  const rows = eventResults(ev);
+  const def = sportDef(ev.sport);
+  return `
+    <div class="badges" style="margin-top:0;">
+      <span class="badge">${escapeHTML(ev.date)}</span>
+      ${ev.venue ? `<span class="badge">📍 ${escapeHTML(ev.venue)}</span>` : ""}
+      <span class="badge">${escapeHTML(ev.sport)} <strong>${distLabel(ev.distanceM)}</strong></span>
+    </div>
+    ${rows.some(x => x.best) ? `
+      <table class="table" style="margin-top:10px;">
+        <thead><tr><th>Place</th><th>Dog</th><th>${RANK_METRIC[def.rank]}</th><th>Result</th><th>Runs</th></tr></thead>
+        <tbody>
+          ${rows.map(x => `
+            <tr>
+              <td><strong>${x.place ?? "—"}</strong></td>
+              <td>${escapeHTML(x.dog.name)}${placeMedal(x.place)}</td>
+              <td>${x.best ? `<strong>${resultMetric(x.best)}</strong>` : "—"}</td>
+              <td>${!x.best ? (x.runs.length ? "E" : "—") : escapeHTML(scoreSummary(x.best) || (x.best.speedKmh ? speedText(x.best.speedKmh) : "—"))}</td>
+              <td>${x.runs.length ? x.runs.map(r => escapeHTML([r.timeMs ? formatTime(r.timeMs) : "", r.score ? `(${scoreSummary(r)})` : ""].filter(Boolean).join(" ") || "—")).join(" • ") : "Did not run"}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    ` : `
+      <div class="item" style="margin-top:10px;">
+        <div class="muted"><strong>No results yet.</strong></div>
+        <div class="muted">Pick this event on the Record tab and time the heats.</div>
+      </div>
+    `}
+  `;
+}
+
+function wireEventCard(){
+  $("#eventSelect")?.addEventListener("change", (e)=>{
+    store.settings.activeEventId = e.target.value || undefined;
+    const ev = activeEvent();
+    const next = ev && eventQueue(ev).find(x => !x.run);
+    if(next) store.settings.activeDogId = next.dogId;
+    saveStore(store);
+    render();
+  });
+  $("#newEventBtn")?.addEventListener("click", ()=> openEventEditor());
+  $("#editEventBtn")?.addEventListener("click", ()=> openEventEditor(activeEvent()));
+  $("#eventQueue")?.addEventListener("click", (e)=>{
+    if(e.target.dataset.action !== "runNow") return;
+    const li = e.target.closest("[data-dogid]");
+    if(!li) return;
+    store.settings.activeDogId = li.dataset.dogid;
+    saveStore(store);
+    render();
+  });
+}
+
+function openEventEditor(existing=null){
+  const isEdit = !!existing;
+  const ev = existing || {
+    id: uid(), name:"", date: localDay(nowISO()), venue:"",
+    sport: store.settings.defaultSport, distanceM: store.settings.defaultDistanceM,
+    heatSize: 4, rounds: 1, order: store.dogs.map(d => d.id)
+  };
+
+  modal.open(
+    isEdit ? "Edit event" : "New event",
+    `
+      <form class="${sportFormClasses(ev.sport)}" id="eventForm">
+        <label>Event name
+          <input id="evName" type="text" value="${escapeAttr(ev.name)}" placeholder="e.g., Spring Sprint Trial" required>
+        </label>
+        <div class="row wrap filters">
+          <label>Date
+            <input id="evDate" type="date" value="${escapeAttr(ev.date)}">
+          </label>
+          <label>Venue (optional)
+            <input id="evVenue" type="text" value="${escapeAttr(ev.venue||"")}" placeholder="e.g., Club field">
+          </label>
+        </div>
+        <div class="row wrap filters">
+          <label>Sport
+            <select id="evSport">
+              ${sportOptionsHTML(sportNames(), ev.sport)}
+            </select>
+          </label>
+          <label class="distance-only">Distance
+            <select id="evDistance">
+              ${distanceOptionsHTML(store.distances, ev.distanceM || sportDef(ev.sport).defaultDistanceM || store.settings.defaultDistanceM)}
+            </select>
+          </label>
+          <label>Dogs per heat
+            <input id="evHeatSize" type="number" min="1" max="20" value="${ev.heatSize}">
+          </label>
+          <label>Rounds
+            <input id="evRounds" type="number" min="1" max="10" value="${ev.rounds}">
+          </label>
+        </div>
+        <div class="small-note">Running order (ticked dogs run in this order)</div>
+        <div class="list">
+          ${[...ev.order, ...store.dogs.map(d => d.id).filter(id => !ev.order.includes(id))].map(id => store.dogs.find(d => d.id === id)).filter(Boolean).map(d => `
+            <label class="check"><input type="checkbox" data-dogid="${d.id}" ${ev.order.includes(d.id)?'checked':''}> ${escapeHTML(d.name)}</label>
+          `).join("")}
+        </div>
+        <label class="check"><input id="evShuffle" type="checkbox"> Draw a random running order</label>
+        <div class="row wrap">
+          <button class="btn primary" type="submit">${isEdit ? "Save changes" : "Create event"}</button>
+          ${isEdit ? `<button class="btn danger" type="button" id="deleteEventBtn">Delete event</button>` : ""}
+        </div>
+      </form>
+    `,
+    `<button class="btn ghost" type="button" id="cancelEvent">Cancel</button>`
+  );
+
+  $("#cancelEvent").addEventListener("click", modal.close);
+  $("#evSport").addEventListener("change", (e)=>{
+    const def = sportDef(e.target.value);
+    $("#eventForm").className = sportFormClasses(def.name);
+    if(def.defaultDistanceM) $("#evDistance").innerHTML = distanceOptionsHTML(store.distances, def.defaultDistanceM);
+  });
+
+  $("#deleteEventBtn")?.addEventListener("click", ()=>{
+    if(!confirm(`Delete ${ev.name}? Its runs stay in each dog's history.`)) return;
+    store.events = store.events.filter(e => e.id !== ev.id);
+    store.runs = store.runs.map(r => (r.eventId === ev.id ? { ...r, eventId: undefined } : r));
+    if(store.settings.activeEventId === ev.id) store.settings.activeEventId = undefined;
+    saveStore(store);
+    modal.close();
+    render();
+  });
+
+  $("#eventForm").addEventListener("submit", (e)=>{
+    e.preventDefault();
+    const name = ($("#evName").value||"").trim();
+    if(!name) return;
+    let order = $$("#eventForm [data-dogid]").filter(x => x.checked).map(x => x.dataset.dogid);
+    if($("#evShuffle").checked){
+      for(let i = order.length - 1; i > 0; i--){
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    const updated = {
+      ...ev,
+      name,
+      date: $("#evDate").value || localDay(nowISO()),
+      venue: ($("#evVenue").value||"").trim(),
+      sport: $("#evSport").value,
+      distanceM: hasField($("#evSport").value, "distance") ? parseFloat($("#evDistance").value) : 0,
+      heatSize: clamp(parseInt($("#evHeatSize").value, 10) || 1, 1, 20),
+      rounds: clamp(parseInt($("#evRounds").value, 10) || 1, 1, 10),
+      order
+    };
+    if(isEdit) store.events = store.events.map(x => (x.id === ev.id ? updated : x));
+    else store.events.push({ ...updated, createdAt: nowISO() });
+
+    store.settings.activeEventId = updated.id;
+    const next = eventQueue(updated).find(x => !x.run);
+    if(next) store.settings.activeDogId = next.dogId;
+    saveStore(store);
+    modal.close();
+    render();
+  });
+}
+
+// ---------- Sessions & training plans ----------
+const SURFACES = ["Grass", "Artificial turf", "Sand", "Dirt", "Track", "Indoor matting", "Other"];
+const LOG_KINDS = { warmup: "Warm-up", rest: "Rest", cooldown: "Cool-down", note: "Note" };
+let rest = { until:0, interval:0 }; // countdown between planned reps, not saved
+
+function activeSession(){
+  return store.sessions.find(s => s.id === store.settings.activeSessionId) || null;
+}
+
+function sessionRuns(session, dogId){
+  return store.runs
+    .filter(r => r.sessionId === session.id && (!dogId || r.dogId === dogId))
+    .sort((a,b)=> a.createdAt.localeCompare(b.createdAt));
+}
+
+function sessionPlan(session){
+  return (session && store.plans.find(p => p.id === session.planId)) || null;
+}
+
+function planReps(plan){
+  // "3×50 m, 2 min rest" -> three {distanceM:50, restS:120} reps
+  return (plan?.steps || []).flatMap(st => Array.from({ length: st.reps }, () => ({ distanceM: st.distanceM, restS: st.restS })));
+}
+
+function nextRep(session, dogId){
+  // the rep this dog is up to; each dog works through the plan on its own
+  const reps = planReps(sessionPlan(session));
+  const done = sessionRuns(session, dogId).length;
+  return done < reps.length ? { ...reps[done], index: done, total: reps.length } : null;
+}
+
+function restLabel(sec){
+  if(sec < 60) return `${sec}s`;
+  return sec % 60 ? `${Math.floor(sec/60)}m ${sec % 60}s` : `${sec/60} min`;
+}
+
+function planLabel(plan){
+  return plan.steps.map(st => `${st.reps}×${distLabel(st.distanceM, " ")}${st.restS ? `, ${restLabel(st.restS)} rest` : ""}`).join(" + ");
+}
+
+function sessionLabel(session){
+  return [new Date(`${session.date}T00:00`).toLocaleDateString(), session.location].filter(Boolean).join(" • ");
+}
+
+function startRest(sec){
+  if(!sec) return;
+  clearInterval(rest.interval);
+  rest = { until: Date.now() + sec * 1000, interval: setInterval(tickRest, 250) };
+  tickRest();
+}
+
+function stopRest(){
+  clearInterval(rest.interval);
+  rest = { until:0, interval:0 };
+  $("#restBox")?.classList.add("hidden");
+}
+
+function tickRest(){
+  const left = rest.until - Date.now();
+  if(left <= 0){
+    stopRest();
+    toast("Rest over: next rep ⏱");
+    navigator.vibrate?.(300);
+    return;
+  }
+  // the card is re-rendered often, so look the box up on every tick
+  const box = $("#restBox");
+  if(!box) return;
+  box.classList.remove("hidden");
+  $("#restLeft").textContent = formatTime(Math.ceil(left / 1000) * 1000).slice(0, 5);
+}
+
+function viewSessionCard(){
+  const session = activeSession();
+  const dogId = store.settings.activeDogId || store.dogs[0]?.id;
+  const past = store.sessions.filter(s => s !== session).sort((a,b)=> b.createdAt.localeCompare(a.createdAt)).slice(0, 5);
+
+  if(!session) return `
+    <section class="card">
+      <div class="row space-between wrap">
+        <h2>Session</h2>
+        <button class="btn" type="button" id="startSessionBtn">Start session</button>
+      </div>
+      <p class="small-note">Group today's runs into a session with location, weather and surface, and follow a training plan rep by rep.</p>
+      ${past.length ? `
+        <ul class="list" id="pastSessions">
+          ${past.map(s => `
+            <li class="item row space-between">
+              <span>${escapeHTML(sessionLabel(s))} <span class="muted">• ${sessionRuns(s).length} runs${sessionPlan(s) ? ` • ${escapeHTML(sessionPlan(s).name)}` : ""}</span></span>
+              <button class="btn ghost" type="button" data-session="${s.id}">View</button>
+            </li>
+          `).join("")}
+        </ul>
+      ` : ""}
+    </section>
+  `;
+
+  const plan = sessionPlan(session);
+  const reps = planReps(plan);
+  const done = sessionRuns(session, dogId);
+  const dogName = dogsById().get(dogId)?.name || "Dog";
+  return `
+    <section class="card">
+      <div class="row space-between wrap">
+        <h2>Session</h2>
+        <div class="row wrap">
+          <button class="btn ghost" type="button" id="editSessionBtn">Edit</button>
+          <button class="btn ghost" type="button" id="logSessionBtn">Log warm-up / rest</button>
+          <button class="btn" type="button" id="endSessionBtn">End session</button>
+        </div>
+      </div>
+      <div class="badges" style="margin-top:0;">
+        <span class="badge">${escapeHTML(sessionLabel(session))}</span>
+        ${session.weather ? `<span class="badge">🌤 ${escapeHTML(session.weather)}</span>` : ""}
+        ${session.surface ? `<span class="badge">${escapeHTML(session.surface)}</span>` : ""}
+        <span class="badge">Runs <strong>${sessionRuns(session).length}</strong></span>
+        ${session.log.length ? `<span class="badge">Log <strong>${session.log.length}</strong></span>` : ""}
+      </div>
+      <div class="rest ${rest.until > Date.now() ? "" : "hidden"}" id="restBox">
+        Rest <strong id="restLeft">00:00</strong>
+        <button class="btn ghost" type="button" id="skipRestBtn">Skip</button>
+      </div>
+      ${plan ? `
+        <div class="small-note">${escapeHTML(plan.name)}: ${escapeHTML(planLabel(plan))} • ${escapeHTML(dogName)} ${Math.min(done.length, reps.length)}/${reps.length}</div>
+        <ul class="list queue">
+          ${reps.map((r, i) => `
+            <li class="queue-item ${done[i] ? "done" : i === done.length ? "current" : ""}">
+              <span>${done[i] ? "✓ " : i === done.length ? "▶ " : ""}Rep ${i+1} • ${distLabel(r.distanceM)}</span>
+              <span class="muted">${done[i] ? (done[i].timeMs ? formatTime(done[i].timeMs) : "done") : r.restS ? `then ${restLabel(r.restS)} rest` : ""}</span>
+            </li>
+          `).join("")}
+        </ul>
+        ${done.length > reps.length ? `<p class="small-note">${done.length - reps.length} extra run${done.length - reps.length !== 1 ? "s" : ""} beyond the plan.</p>` : ""}
+      ` : `<p class="small-note">Every run you save now joins this session.</p>`}
+    </section>
+  `;
+}
+
+function wireSessionCard(){
+  $("#startSessionBtn")?.addEventListener("click", ()=> openSessionEditor());
+  $("#editSessionBtn")?.addEventListener("click", ()=> openSessionEditor(activeSession()));
+  $("#logSessionBtn")?.addEventListener("click", ()=> openSessionLog(activeSession()));
+  $("#skipRestBtn")?.addEventListener("click", stopRest);
+  $("#endSessionBtn")?.addEventListener("click", ()=>{
+    const session = activeSession();
+    session.endedAt = nowISO();
+    store.settings.activeSessionId = undefined;
+    stopRest();
+    saveStore(store);
+    render();
+    openSessionSummary(session);
+  });
+  $("#pastSessions")?.addEventListener("click", (e)=>{
+    const session = store.sessions.find(s => s.id === e.target.dataset.session);
+    if(session) openSessionSummary(session);
+  });
+  if(rest.until > Date.now()) tickRest();
+}
+
+function openSessionEditor(existing=null){
+  const isEdit = !!existing;
+  const session = existing || { id: uid(), date: localDay(nowISO()), location:"", weather:"", surface:"", notes:"", planId:"", log:[] };
+
+  modal.open(
+    isEdit ? "Edit session" : "Start session",
+    `
+      <form class="form" id="sessionForm">
+        <div class="row wrap filters">
+          <label>Date
+            <input id="sesDate" type="date" value="${escapeAttr(session.date)}">
+          </label>
+          <label>Location
+            <input id="sesLocation" type="text" value="${escapeAttr(session.location)}" placeholder="e.g., Club field">
+          </label>
+        </div>
+        <div class="row wrap filters">
+          <label>Weather
+            <input id="sesWeather" type="text" value="${escapeAttr(session.weather)}" placeholder="e.g., 14°C, light wind">
+          </label>
+          <label>Surface
+            <select id="sesSurface">
+              <option value="">—</option>
+              ${SURFACES.map(x => `<option ${x===session.surface?'selected':''}>${x}</option>`).join("")}
+            </select>
+          </label>
+        </div>
+        <label>Training plan
+          <select id="sesPlan">
+            <option value="">No plan (free session)</option>
+            ${store.plans.map(p => `<option value="${p.id}" ${p.id===session.planId?'selected':''}>${escapeHTML(p.name)} • ${escapeHTML(planLabel(p))}</option>`).join("")}
+          </select>
+        </label>
+        <label>Notes (optional)
+          <input id="sesNotes" type="text" value="${escapeAttr(session.notes)}" placeholder="e.g., New harness">
+        </label>
+        <div class="row wrap">
+          <button class="btn primary" type="submit">${isEdit ? "Save changes" : "Start session"}</button>
+          ${isEdit ? `<button class="btn danger" type="button" id="deleteSessionBtn">Delete session</button>` : ""}
+        </div>
+        ${store.plans.length ? "" : `<p class="small-note">Create training plans in Settings.</p>`}
+      </form>
+    `,
+    `<button class="btn ghost" type="button" id="cancelSession">Cancel</button>`
+  );
+
+  $("#cancelSession").addEventListener("click", modal.close);
+
+  $("#deleteSessionBtn")?.addEventListener("click", ()=>{
+    if(!confirm("Delete this session? Its runs stay in each dog's history.")) return;
+    store.sessions = store.sessions.filter(s => s.id !== session.id);
+    store.runs = store.runs.map(r => (r.sessionId === session.id ? { ...r, sessionId: undefined } : r));
+    if(store.settings.activeSessionId === session.id) store.settings.activeSessionId = undefined;
+    stopRest();
+    saveStore(store);
+    modal.close();
+    render();
+  });
+
+  $("#sessionForm").addEventListener("submit", (e)=>{
+    e.preventDefault();
+    const updated = {
+      ...session,
+      date: $("#sesDate").value || localDay(nowISO()),
+      location: ($("#sesLocation").value||"").trim(),
+      weather: ($("#sesWeather").value||"").trim(),
+      surface: $("#sesSurface").value,
+      planId: $("#sesPlan").value || undefined,
+      notes: ($("#sesNotes").value||"").trim()
+    };
+    if(isEdit) store.sessions = store.sessions.map(s => (s.id === session.id ? updated : s));
+    else {
+      store.sessions.push({ ...updated, createdAt: nowISO() });
+      store.settings.activeSessionId = updated.id;
+    }
+    saveStore(store);
+    modal.close();
+    render();
+  });
+}
+
+function openSessionLog(session){
+  modal.open(
+    "Log warm-up / rest",
+    `
+      <form class="form" id="logForm">
+        <div class="row wrap filters">
+          <label>What
+            <select id="logKind">
+              ${Object.entries(LOG_KINDS).map(([k, label]) => `<option value="${k}">${label}</option>`).join("")}
+            </select>
+          </label>
+          <label>Minutes
+            <input id="logMinutes" type="number" min="0" step="1" inputmode="numeric" placeholder="e.g., 10">
+          </label>
+        </div>
+        <label>Details (optional)
+          <input id="logText" type="text" placeholder="e.g., Trot + 2 build-ups">
+        </label>
+        <button class="btn primary" type="submit">Add to session</button>
+      </form>
+      ${session.log.length ? `
+        <ul class="list" style="margin-top:10px;">
+          ${session.log.map(x => `
+            <li class="item">${new Date(x.at).toLocaleTimeString([], { hour:"2-digit", minute:"2-digit" })} • <strong>${escapeHTML(LOG_KINDS[x.kind] || x.kind)}</strong>${x.minutes ? ` ${x.minutes} min` : ""}${x.text ? ` • ${escapeHTML(x.text)}` : ""}</li>
+          `).join("")}
+        </ul>
+      ` : ""}
+    `,
+    `<button class="btn ghost" type="button" id="cancelLog">Close</button>`
+  );
+  $("#cancelLog").addEventListener("click", modal.close);
+  $("#logForm").addEventListener("submit", (e)=>{
+    e.preventDefault();
+    const minutes = Math.max(0, parseInt($("#logMinutes").value, 10) || 0);
+    const text = ($("#logText").value||"").trim();
+    if(!minutes && !text){ toast("Add minutes or details"); return; }
+    session.log.push({ id: uid(), at: nowISO(), kind: $("#logKind").value, minutes, text });
+    saveStore(store);
+    modal.close();
+    render();
+  });
+}
+
+function openSessionSummary(session){
+  // planned vs done, per dog: rest taken is the gap between consecutive runs
+  const plan = sessionPlan(session);
+  const reps = planReps(plan);
+  const runs = sessionRuns(session);
+  const dogs = dogsById();
+  const dogIds = Array.from(new Set(runs.map(r => r.dogId)));
+
+  modal.open(
+    `Session • ${sessionLabel(session)}`,
+    `
+      <div class="badges" style="margin-top:0;">
+        ${session.weather ? `<span class="badge">🌤 ${escapeHTML(session.weather)}</span>` : ""}
+        ${session.surface ? `<span class="badge">${escapeHTML(session.surface)}</span>` : ""}
+        ${plan ? `<span class="badge">${escapeHTML(plan.name)} <strong>${escapeHTML(planLabel(plan))}</strong></span>` : ""}
+        <span class="badge">Runs <strong>${runs.length}</strong></span>
+      </div>
+      ${session.notes ? `<p>${escapeHTML(session.notes)}</p>` : ""}
+      ${session.log.length ? `
+        <h3>Log</h3>
+        <ul class="list">
+          ${session.log.map(x => `<li class="item"><strong>${escapeHTML(LOG_KINDS[x.kind] || x.kind)}</strong>${x.minutes ? ` ${x.minutes} min` : ""}${x.text ? ` • ${escapeHTML(x.text)}` : ""}</li>`).join("")}
+        </ul>
+      ` : ""}
+      ${dogIds.map(id => {
+        const rr = runs.filter(r => r.dogId === id);
+        const rows = Math.max(rr.length, reps.length);
+        return `
+          <h3>${escapeHTML(dogs.get(id)?.name || "Dog")} <span class="muted">${plan ? `${Math.min(rr.length, reps.length)}/${reps.length} reps` : `${rr.length} runs`}</span></h3>
+          <table class="table">
+            <thead><tr><th>Rep</th>${plan ? "<th>Planned</th>" : ""}<th>Done</th><th>Rest${plan ? " (planned)" : ""}</th></tr></thead>
+            <tbody>
+              ${Array.from({ length: rows }, (_, i) => {
+                const r = rr[i], p = reps[i];
+                const restTaken = r && rr[i+1] ? Math.round((Date.parse(rr[i+1].createdAt) - Date.parse(r.createdAt)) / 1000) : null;
+                return `
+                  <tr>
+                    <td>${i+1}${!p && plan ? ' <span class="muted">extra</span>' : ""}</td>
+                    ${plan ? `<td>${p ? distLabel(p.distanceM) : "—"}</td>` : ""}
+                    <td>${r ? `${distLabel(r.distanceM) || escapeHTML(r.sport)} • ${r.timeMs ? formatTime(r.timeMs) : escapeHTML(scoreSummary(r) || "done")}` : '<span class="muted">not done</span>'}</td>
+                    <td>${restTaken != null ? restLabel(restTaken) : "—"}${p?.restS ? ` <span class="muted">(${restLabel(p.restS)})</span>` : ""}</td>
+                  </tr>
+                `;
+              }).join("")}
+            </tbody>
+          </table>
+        `;
+      }).join("") || `<p>No runs in this session.</p>`}
+    `,
+    `${session.id !== store.settings.activeSessionId ? `<button class="btn ghost" type="button" id="resumeSession">Resume</button>` : ""}
+     <button class="btn primary" type="button" id="closeSummary">Close</button>`
+  );
+  $("#closeSummary").addEventListener("click", modal.close);
+  $("#resumeSession")?.addEventListener("click", ()=>{
+    store.settings.activeSessionId = session.id;
+    session.endedAt = undefined;
+    saveStore(store);
+    modal.close();
+    setTab("record");
+  });
+}
+
+function openPlanEditor(existing=null){
+  const isEdit = !!existing;
+  const plan = existing || { id: uid(), name:"", sport: store.settings.defaultSport, steps:[{ reps:3, distanceM: store.settings.defaultDistanceM, restS:120 }] };
+  const stepHTML = (st) => `
+    <div class="row wrap filters plan-step">
+      <label>Reps <input data-k="reps" type="number" min="1" max="50" step="1" value="${st.reps}"></label>
+      <label>Distance (${distUnit()}) <input data-k="distance" type="number" min="1" step="any" value="${round(toDistUnit(st.distanceM), 1)}"></label>
+      <label>Rest (s) <input data-k="rest" type="number" min="0" step="5" value="${st.restS}"></label>
+    </div>
+  `;
+
+  modal.open(
+    isEdit ? "Edit training plan" : "New training plan",
+    `
+      <form class="form" id="planForm">
+        <div class="row wrap filters">
+          <label>Plan name
+            <input id="planName" type="text" value="${escapeAttr(plan.name)}" placeholder="e.g., Speed day" required>
+          </label>
+          <label>Sport
+            <select id="planSport">${sportOptionsHTML(sportNames(), plan.sport)}</select>
+          </label>
+        </div>
+        <div class="small-note">Steps run in order; each rep is one saved run, followed by its rest.</div>
+        <div id="planSteps">${plan.steps.map(stepHTML).join("")}</div>
+        <div class="row wrap">
+          <button class="btn ghost" type="button" id="addStepBtn">Add step</button>
+          <button class="btn primary" type="submit">${isEdit ? "Save plan" : "Create plan"}</button>
+          ${isEdit ? `<button class="btn danger" type="button" id="deletePlanBtn">Delete plan</button>` : ""}
+        </div>
+      </form>
+    `,
+    `<button class="btn ghost" type="button" id="cancelPlan">Cancel</button>`
+  );
+
+  $("#cancelPlan").addEventListener("click", modal.close);
+  $("#addStepBtn").addEventListener("click", ()=>{
+    $("#planSteps").insertAdjacentHTML("beforeend", stepHTML({ reps:1, distanceM: store.settings.defaultDistanceM, restS:120 }));
+  });
+
+  $("#deletePlanBtn")?.addEventListener("click", ()=>{
+    if(!confirm(`Delete ${plan.name}? Past sessions keep their runs.`)) return;
+    store.plans = store.plans.filter(p => p.id !== plan.id);
+    saveStore(store);
+    modal.close();
+    render();
+  });
+
+  $("#planForm").addEventListener("submit", (e)=>{
+    e.preventDefault();
+    const name = ($("#planName").value||"").trim();
+    if(!name) return;
+    const steps = $$("#planSteps .plan-step").map(row => ({
+      reps: clamp(parseInt($('[data-k="reps"]', row).value, 10) || 0, 0, 50),
+      distanceM: distInputM(parseFloat($('[data-k="distance"]', row).value) || 0, [...plan.steps.map(st => st.distanceM), store.settings.defaultDistanceM, ...store.distances]),
+      restS: Math.max(0, parseInt($('[data-k="rest"]', row).value, 10) || 0)
+    })).filter(st => st.reps > 0 && st.distanceM > 0);
+    if(!steps.length){ toast("Add at least one step"); return; }
+    const updated = { ...plan, name, sport: $("#planSport").value, steps };
+    if(isEdit) store.plans = store.plans.map(p => (p.id === plan.id ? updated : p));
+    else store.plans.push({ ...updated, createdAt: nowISO() });
+    saveStore(store);
+    modal.close();
+    render();
+  });
+}
+
+// ---------- Charts (lightweight canvas) ----------
+const CHART_COLORS = ["#ffffff", "#47ff89", "#ffd24d", "#6ab8ff", "#ff7ab6", "#ff9f43"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function wireCharts(){
+  const setFilter = (patch)=>{
+    store.settings.chartFilter = { ...chartFilter(), ...patch };
+    saveStore(store);
+    render();
+  };
+  $("#chartDogs")?.addEventListener("change", ()=>{
+    setFilter({ dogIds: $$("#chartDogs [data-dogid]").filter(x => x.checked).map(x => x.dataset.dogid) });
+  });
+  $("#chartSport")?.addEventListener("change", (e)=> setFilter({ sport: e.target.value }));
+  $("#chartDistance")?.addEventListener("change", (e)=> setFilter({ distanceM: parseFloat(e.target.value) || 0 }));
+  $("#chartTrend")?.addEventListener("change", (e)=> setFilter({ trend: parseInt(e.target.value,10) || 0 }));
+  $("#chartHealth")?.addEventListener("change", (e)=> setFilter({ health: e.target.checked }));
+  drawCharts();
+}
+
+function movingAverage(points, n){
+  // trailing mean of the last n runs, so the line only starts once there are n of them
+  return points.slice(n - 1).map((p, i) => ({
+    t: p.t,
+    y: points.slice(i, i + n).reduce((sum, q) => sum + q.y, 0) / n
+  }));
+}
+
+function drawCharts(){
+  const canvas = $("#speedChart");
+  if(!canvas) return;
+  const f = chartFilter();
+  const dogs = dogsById();
+  const series = f.dogIds.map((id, i) => ({
+    label: dogs.get(id)?.name || "Dog",
+    color: CHART_COLORS[i % CHART_COLORS.length],
+    points: filterRuns(runsForDog(id), f)
+      .filter(r => r.speedKmh > 0)
+      .map(r => ({ t: Date.parse(r.createdAt), y: speedIn(r.speedKmh), run: r }))
+  }));
+
+  const pace = store.settings.units === "pace";
+  const hits = lineChart(canvas, series, {
+    yLabel: `${pace ? "Pace" : "Speed"} (${speedLabel()})`, unit: speedLabel(), trend: f.trend, lowerIsBetter: pace,
+    overlays: f.health ? healthOverlays(f.dogIds) : []
+  });
+  const kinds = f.health ? new Set(store.health.filter(x => f.dogIds.includes(x.dogId)).map(x => x.kind)) : new Set();
+  $("#chartLegend").innerHTML = series.map(sr => `
+    <span class="badge"><span class="swatch" style="background:${sr.color}"></span> ${escapeHTML(sr.label)} <strong>${sr.points.length}</strong></span>
+  `).join("") + Object.entries(HEALTH_KINDS).filter(([k, v]) => v.color && kinds.has(k)).map(([, v]) => `
+    <span class="badge"><span class="swatch" style="background:rgba(${v.color},0.6)"></span> ${v.icon} ${v.label}</span>
+  `).join("");
+
+  const tip = $("#chartTip");
+  const showTip = (e)=>{
+    // canvas is drawn at its attribute size and scaled by CSS
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (canvas.width / (rect.width || canvas.width));
+    const y = (e.clientY - rect.top) * (canvas.height / (rect.height || canvas.height));
+    const hit = hits.reduce((best, p) => {
+      const d = Math.hypot(p.x - x, p.y - y);
+      return d < 18 && (!best || d < best.d) ? { ...p, d } : best;
+    }, null);
+    if(!hit){ tip.classList.add("hidden"); return; }
+    const r = hit.run;
+    tip.innerHTML = `
+      <strong>${escapeHTML(hit.label)}</strong> • ${new Date(r.createdAt).toLocaleDateString()}
+      <div>${formatTime(r.timeMs)} • ${distLabel(r.distanceM)} • ${speedText(r.speedKmh)}</div>
+      <div class="muted">${escapeHTML([r.sport, scoreSummary(r), TIMING_SOURCES[r.timingSource] || START_METHODS[r.startMethod], r.notes].filter(Boolean).join(" • "))}</div>
+    `;
+    tip.style.left = `${clamp(hit.x / canvas.width * 100, 0, 70)}%`;
+    tip.style.top = `${clamp(hit.y / canvas.height * 100, 0, 60)}%`;
+    tip.classList.remove("hidden");
+  };
+  canvas.addEventListener("pointermove", showTip);
+  canvas.addEventListener("pointerdown", showTip);
+  canvas.addEventListener("pointerleave", ()=> tip.classList.add("hidden"));
+}
+
+function dateTicks(tMin, tMax){
+  // day-aligned steps giving at most ~6 labels
+  const steps = [1, 2, 7, 14, 30, 61, 91, 182, 365].map(d => d * DAY_MS);
+  const step = steps.find(s => (tMax - tMin) / s <= 6) || steps[steps.length - 1];
+  const first = new Date(tMin);
+  first.setHours(0,0,0,0);
+  const ticks = [];
+  for(let t = first.getTime(); t <= tMax; t += step) if(t >= tMin) ticks.push(t);
+  const withYear = tMax - tMin > 300 * DAY_MS;
+  return ticks.map(t => ({
+    t,
+    label: new Date(t).toLocaleDateString(undefined, withYear ? { month:"short", year:"2-digit" } : { month:"short", day:"numeric" })
+  }));
+}
+
+function lineChart(canvas, series, { yLabel, unit, trend=0, lowerIsBetter=false, overlays=[] }){
+  // series: [{ label, color, points:[{t, y, run}] }] sorted by t; returns drawn points for hit-testing
+  // overlays: [{ from, to, color:"r,g,b", label }] shaded behind the lines; to = null marks a single moment
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width, h = canvas.height;
+  ctx.clearRect(0,0,w,h);
+
+  // background
+  ctx.fillStyle = "rgba(255,255,255,0.02)";
+  ctx.fillRect(0,0,w,h);
+
+  const padL = 46, padR = 14, padT = 12, padB = 46;
+  const plotW = w - padL - padR;
+  const plotH = h - padT - padB;
+  const all = series.flatMap(sr => sr.points);
+
+  // if no data
+  if(!all.length){
+    ctx.fillStyle = "rgba(243,243,247,0.65)";
+    ctx.font = "bold 18px system-ui";
+    ctx.fillText("No data yet", padL, padT+30);
+    ctx.fillStyle = "rgba(183,183,195,0.75)";
+    ctx.font = "14px system-ui";
+    ctx.fillText("Record runs or widen the filters to see the chart.", padL, padT+55);
+    return [];
+  }
+
+  const ys = all.map(p=>p.y);
+  let yMin = Math.min(...ys);
+  let yMax = Math.max(...ys);
+  if(yMin === yMax){ yMin = yMin - 1; yMax = yMax + 1; }
+  yMin = Math.max(0, yMin*0.95);
+  yMax = yMax*1.05;
+
+  const ts = all.map(p=>p.t);
+  let tMin = Math.min(...ts);
+  let tMax = Math.max(...ts);
+  if(tMax - tMin < DAY_MS){ tMin -= DAY_MS / 2; tMax += DAY_MS / 2; }
+
+  function xScale(t){ return padL + ( (t - tMin) / (tMax - tMin) ) * plotW; }
+  function yScale(y){ return padT + (1 - (y - yMin) / (yMax - yMin)) * plotH; }
+
+  // grid
+  ctx.strokeStyle = "rgba(255,255,255,0.07)";
+  ctx.lineWidth = 1;
+  const gridLines = 4;
+  for(let i=0;i<=gridLines;i++){
+    const y = padT + (i/gridLines)*plotH;
+    ctx.beginPath();
+    ctx.moveTo(padL, y);
+    ctx.lineTo(padL+plotW, y);
+    ctx.stroke();
+  }
+
+  // y labels
+  ctx.fillStyle = "rgba(183,183,195,0.85)";
+  ctx.font = "12px system-ui";
+  for(let i=0;i<=gridLines;i++){
     const val = yMax - (i/gridLines)*(yMax-yMin);
     const y = padT + (i/gridLines)*plotH;
     ctx.fillText(val.toFixed(1), 8, y+4);
   }
 
+  // date axis
+  dateTicks(tMin, tMax).forEach(tick => {
+    const x = xScale(tick.t);
+    ctx.strokeStyle = "rgba(255,255,255,0.07)";
+    ctx.beginPath();
+    ctx.moveTo(x, padT);
+    ctx.lineTo(x, padT+plotH);
+    ctx.stroke();
+    ctx.fillStyle = "rgba(183,183,195,0.85)";
+    ctx.fillText(tick.label, clamp(x - 18, padL, w - 60), padT + plotH + 16);
+  });
+
   // axes label
   ctx.fillStyle = "rgba(183,183,195,0.85)";
   ctx.font = "12px system-ui";
-  ctx.fillText(yLabel, padL, h-10);
+  ctx.fillText(yLabel, padL, h-8);
 
-  // line
-  ctx.strokeStyle = "rgba(255,255,255,0.85)";
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  points.forEach((p, i)=>{
-    const x = xScale(p.x);
-    const y = yScale(p.y);
-    if(i===0) ctx.moveTo(x,y);
-    else ctx.lineTo(x,y);
+  // health overlays, clipped to the plotted dates
+  overlays.filter(o => (o.to ?? o.from) >= tMin && o.from <= tMax).forEach((o, i) => {
+    const x1 = xScale(Math.max(o.from, tMin));
+    const x2 = o.to == null ? x1 : xScale(Math.min(o.to, tMax));
+    if(o.to == null){
+      ctx.strokeStyle = `rgba(${o.color},0.8)`;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x1, padT);
+      ctx.lineTo(x1, padT+plotH);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    } else {
+      ctx.fillStyle = `rgba(${o.color},0.14)`;
+      ctx.fillRect(x1, padT, Math.max(2, x2 - x1), plotH);
+    }
+    ctx.fillStyle = `rgba(${o.color},0.95)`;
+    ctx.font = "11px system-ui";
+    ctx.fillText(o.label.slice(0, 24), clamp(x1 + 3, padL, w - 120), padT + 12 + (i % 3) * 13);
   });
-  ctx.stroke();
 
-  // points
-  ctx.fillStyle = "rgba(255,255,255,0.92)";
-  points.forEach(p=>{
-    const x = xScale(p.x);
-    const y = yScale(p.y);
+  const hits = [];
+  series.forEach(sr => {
+    if(!sr.points.length) return;
+
+    // line
+    ctx.strokeStyle = sr.color;
+    ctx.globalAlpha = 0.85;
+    ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.arc(x,y,3.2,0,Math.PI*2);
-    ctx.fill();
+    sr.points.forEach((p, i)=>{
+      const x = xScale(p.t);
+      const y = yScale(p.y);
+      if(i===0) ctx.moveTo(x,y);
+      else ctx.lineTo(x,y);
+    });
+    ctx.stroke();
+
+    // trend
+    const avg = trend > 1 ? movingAverage(sr.points, trend) : [];
+    if(avg.length > 1){
+      ctx.setLineDash([6, 5]);
+      ctx.globalAlpha = 0.6;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      avg.forEach((p, i)=> (i===0 ? ctx.moveTo(xScale(p.t), yScale(p.y)) : ctx.lineTo(xScale(p.t), yScale(p.y))));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    ctx.globalAlpha = 1;
+
+    // points
+    ctx.fillStyle = sr.color;
+    sr.points.forEach(p=>{
+      const x = xScale(p.t);
+      const y = yScale(p.y);
+      ctx.beginPath();
+      ctx.arc(x,y,3.2,0,Math.PI*2);
+      ctx.fill();
+      hits.push({ x, y, run: p.run, label: sr.label });
+    });
   });
 
-  // highlight max
-  const best = points.reduce((a,b)=> (b.y>a.y ? b : a), points[0]);
-  const bx = xScale(best.x), by = yScale(best.y);
+  // highlight the best point (max speed, or min pace)
+  const best = all.reduce((a,b)=> ((lowerIsBetter ? b.y<a.y : b.y>a.y) ? b : a), all[0]);
+  const bx = xScale(best.t), by = yScale(best.y);
   ctx.strokeStyle = "rgba(255,210,77,0.95)";
   ctx.lineWidth = 2;
   ctx.beginPath();
@@ -888,13 +4518,525 @@ function lineChart(canvas, points, yLabel){
   ctx.stroke();
   ctx.fillStyle = "rgba(255,210,77,0.95)";
   ctx.font = "bold 13px system-ui";
-  ctx.fillText(`PB ${best.y.toFixed(2)} km/h`, clamp(bx-60, padL, w-120), clamp(by-12, padT+10, h-40));
+  ctx.fillText(`PB ${best.y.toFixed(2)} ${unit}`, clamp(bx-60, padL, w-120), clamp(by-12, padT+10, h-40));
+
+  return hits;
+}
+
+// ---------- Backup import ----------
+function validateBackup(data){
+  // returns { store, problems } with invalid records dropped, or { fatal } when it can't be used at all
+  if(!data || typeof data !== "object" || !data.version) return { fatal: "Not a Dog Sports Tracking backup (no version field)." };
+  const version = Number(data.version);
+  if(!Number.isInteger(version) || version < 1) return { fatal: `Backup has an unreadable version (${String(data.version).slice(0, 20)}).` };
+  if(version > STORE_VERSION) return { fatal: `Backup is from a newer app version (v${version}). Update the app first.` };
+  if(data.dogs != null && !Array.isArray(data.dogs)) return { fatal: "Backup is damaged: dogs is not a list." };
+  if(data.runs != null && !Array.isArray(data.runs)) return { fatal: "Backup is damaged: runs is not a list." };
+
+  const s = migrateStore({ ...data, version });
+  if(!Array.isArray(s.dogs)) s.dogs = [];
+  if(!Array.isArray(s.runs)) s.runs = [];
+  if(!Array.isArray(s.events)) s.events = [];
+  if(!Array.isArray(s.sessions)) s.sessions = [];
+  if(!Array.isArray(s.plans)) s.plans = [];
+  if(!Array.isArray(s.health)) s.health = [];
+  if(!Array.isArray(s.distances) || !s.distances.length) s.distances = defaultStore().distances;
+  s.settings = { ...defaultStore().settings, ...s.settings };
+  const problems = [];
+
+  s.sports = (Array.isArray(s.sports) ? s.sports : []).filter((sp, i) => {
+    if(!sp || typeof sp.name !== "string" || !sp.name.trim() || !Array.isArray(sp.fields)){ problems.push(`Sport #${i+1}: missing name or fields`); return false; }
+    if(!SPORT_RANKS[sp.rank]) sp.rank = "time";
+    return true;
+  });
+  if(!s.sports.length) s.sports = defaultSports(s.settings.defaultDistanceM);
+  // runs are checked against the backup's own sports, not this device's
+  const sportsByName = new Map(s.sports.map(sp => [sp.name, sp]));
+
+  const dogIds = new Set();
+  s.dogs = s.dogs.filter((d, i) => {
+    if(!d || !d.id || typeof d.name !== "string" || !d.name.trim()){ problems.push(`Dog #${i+1}: missing id or name`); return false; }
+    if(dogIds.has(d.id)){ problems.push(`Dog “${d.name}”: listed twice`); return false; }
+    dogIds.add(d.id);
+    return true;
+  });
+
+  const runIds = new Set();
+  s.runs = s.runs.filter((r, i) => {
+    const label = `Run #${i+1}`;
+    if(!r || !r.id){ problems.push(`${label}: missing id`); return false; }
+    if(runIds.has(r.id)){ problems.push(`${label}: listed twice`); return false; }
+    if(!dogIds.has(r.dogId)){ problems.push(`${label}: dog “${r.dogId}” is not in the backup`); return false; }
+    if(typeof r.sport !== "string" || !r.sport.trim()){ problems.push(`${label}: no sport`); return false; }
+    // a deleted sport's runs stay in the history (see sportDef), so its fields aren't known here
+    const sp = sportsByName.get(r.sport);
+    const ok = (v, field) => Number.isFinite(v) && (v > 0 || (v === 0 && !sp?.fields.includes(field)));
+    if(!ok(r.timeMs, "time")){ problems.push(`${label}: bad time (${r.timeMs})`); return false; }
+    if(!ok(r.distanceM, "distance")){ problems.push(`${label}: bad distance (${r.distanceM})`); return false; }
+    if(Number.isNaN(Date.parse(r.createdAt))){ problems.push(`${label}: bad date`); return false; }
+    if(r.score != null && typeof r.score !== "object"){ problems.push(`${label}: bad score`); return false; }
+    runIds.add(r.id);
+    if(!Number.isFinite(r.speedKmh)) r.speedKmh = r.distanceM && r.timeMs ? round(speedKmh(r.distanceM, r.timeMs), 4) : 0;
+    if(r.startMethod != null && !START_METHODS[r.startMethod]) delete r.startMethod;
+    if(r.timingSource != null && !TIMING_SOURCES[r.timingSource]) delete r.timingSource;
+    if(r.track != null && !(Array.isArray(r.track) && r.track.every(p => p && [p.t, p.lat, p.lon].every(Number.isFinite)))){
+      problems.push(`${label}: bad GPS track (dropped, run kept)`);
+      delete r.track;
+    }
+    return true;
+  });
+
+  const eventIds = new Set();
+  s.events = s.events.filter((ev, i) => {
+    if(!ev || !ev.id || !ev.name){ problems.push(`Event #${i+1}: missing id or name`); return false; }
+    if(eventIds.has(ev.id)){ problems.push(`Event “${ev.name}”: listed twice`); return false; }
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(ev.date || "")){ problems.push(`Event “${ev.name}”: bad date`); return false; }
+    eventIds.add(ev.id);
+    ev.order = (Array.isArray(ev.order) ? ev.order : []).filter(id => dogIds.has(id));
+    return true;
+  });
+  s.runs.forEach(r => { if(r.eventId && !eventIds.has(r.eventId)) delete r.eventId; });
+
+  s.plans = s.plans.filter((p, i) => {
+    if(!p || !p.id || !p.name || !Array.isArray(p.steps)){ problems.push(`Plan #${i+1}: missing id, name or steps`); return false; }
+    return true;
+  });
+  const sessionIds = new Set();
+  s.sessions = s.sessions.filter((ses, i) => {
+    if(!ses || !ses.id || !ses.date){ problems.push(`Session #${i+1}: missing id or date`); return false; }
+    if(sessionIds.has(ses.id)){ problems.push(`Session ${ses.date}: listed twice`); return false; }
+    sessionIds.add(ses.id);
+    // keep the log kinds the app writes, with numeric minutes and text
+    ses.log = (Array.isArray(ses.log) ? ses.log : []).filter(x => x && LOG_KINDS[x.kind]);
+    ses.log.forEach(x => {
+      x.minutes = Math.max(0, parseInt(x.minutes, 10) || 0);
+      if(typeof x.text !== "string") x.text = "";
+    });
+    return true;
+  });
+  s.runs.forEach(r => { if(r.sessionId && !sessionIds.has(r.sessionId)) delete r.sessionId; });
+
+  s.health = s.health.filter((x, i) => {
+    const label = `Health entry #${i+1}`;
+    if(!x || typeof x.id !== "string" || !x.id || !HEALTH_KINDS[x.kind]){ problems.push(`${label}: missing id or unknown kind`); return false; }
+    if(!dogIds.has(x.dogId)){ problems.push(`${label}: dog “${x.dogId}” is not in the backup`); return false; }
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(x.date || "")){ problems.push(`${label}: bad date`); return false; }
+    if(x.kind === "weight" && !(x.kg > 0)){ problems.push(`${label}: bad weight (${x.kg})`); return false; }
+    // same-day entries are ordered by createdAt
+    if(typeof x.createdAt !== "string" || Number.isNaN(Date.parse(x.createdAt))) x.createdAt = `${x.date}T00:00:00.000Z`;
+    return true;
+  });
+
+  s.trash = validateTrash(s, s.trash, problems);
+  return { store: s, problems };
+}
+
+function validateTrash(s, trash, problems){
+  // each entry's items get the same checks as the backup's own, against the live and trashed records they point to
+  const entries = (Array.isArray(trash) ? trash : []).filter(t => t && typeof t.id === "string" && t.data && typeof t.data === "object" && !Number.isNaN(Date.parse(t.createdAt)));
+  const part = (t, k) => (Array.isArray(t.data[k]) ? t.data[k] : []);
+  const trashed = k => entries.flatMap(t => part(t, k));
+  return entries.map(t => {
+    const label = typeof t.label === "string" && t.label ? t.label : "Deleted items";
+    const r = t.reset;
+    const reset = r && Array.isArray(r.sports) && Array.isArray(r.distances) && r.settings && typeof r.settings === "object"
+      ? validateBackup({ version: STORE_VERSION, sports: r.sports, distances: r.distances.filter(m => Number.isFinite(m) && m > 0), settings: r.settings }).store
+      : null;
+    const v = validateBackup({
+      version: STORE_VERSION,
+      sports: [...s.sports, ...(reset?.sports || [])],
+      dogs: [...s.dogs, ...trashed("dogs")],
+      events: [...s.events, ...trashed("events")],
+      sessions: [...s.sessions, ...trashed("sessions")],
+      runs: part(t, "runs"), health: part(t, "health"), plans: part(t, "plans")
+    }).store;
+    // keep only what came from this entry
+    const data = {};
+    TRASH_COLLECTIONS.forEach(k => {
+      const ids = new Set(part(t, k).map(x => x?.id));
+      const live = new Set((s[k] || []).map(x => x.id));
+      const items = v[k].filter(x => ids.has(x.id) && !live.has(x.id));
+      if(items.length) data[k] = items;
+    });
+    const dropped = TRASH_COLLECTIONS.reduce((n, k) => n + part(t, k).length - (data[k]?.length || 0), 0);
+    if(dropped) problems.push(`Trash “${label}”: ${dropped} unusable item${dropped !== 1 ? "s" : ""} dropped`);
+    const eventOrders = (Array.isArray(t.eventOrders) ? t.eventOrders : [])
+      .filter(o => o && typeof o.eventId === "string" && Array.isArray(o.order) && o.order.every(id => typeof id === "string"));
+    const entry = { id: t.id, label, data, createdAt: t.createdAt };
+    if(eventOrders.length) entry.eventOrders = eventOrders;
+    if(reset) entry.reset = { sports: reset.sports, distances: reset.distances, settings: reset.settings };
+    return entry;
+  }).filter(t => Object.keys(t.data).length || t.reset);
+}
+
+function mergeStores(local, incoming){
+  // de-duplicate by id; when both sides have the same id, this device's copy is kept
+  const fresh = (k) => {
+    const ids = new Set(local[k].map(x => x.id));
+    return incoming[k].filter(x => !ids.has(x.id));
+  };
+  const newDogs = fresh("dogs");
+  const newRuns = fresh("runs");
+  const newEvents = fresh("events");
+  const newSessions = fresh("sessions");
+  const newPlans = fresh("plans");
+  const newHealth = fresh("health");
+  const sportNamesLocal = new Set(local.sports.map(sp => sp.name.toLowerCase()));
+  const newSports = incoming.sports.filter(sp => !sportNamesLocal.has(sp.name.toLowerCase()));
+  return {
+    store: {
+      ...local,
+      distances: Array.from(new Set([...local.distances, ...incoming.distances])).slice(0,12),
+      dogs: [...local.dogs, ...newDogs],
+      runs: [...local.runs, ...newRuns].sort((a,b)=> a.createdAt.localeCompare(b.createdAt)),
+      events: [...local.events, ...newEvents],
+      sports: [...local.sports, ...newSports],
+      sessions: [...local.sessions, ...newSessions],
+      plans: [...local.plans, ...newPlans],
+      health: [...local.health, ...newHealth]
+    },
+    added: {
+      dogs: newDogs.length, runs: newRuns.length, events: newEvents.length,
+      sports: newSports.length, sessions: newSessions.length, plans: newPlans.length, health: newHealth.length
+    },
+    kept: { dogs: incoming.dogs.length - newDogs.length, runs: incoming.runs.length - newRuns.length }
+  };
+}
+
+function importReportHTML(result, mode){
+  if(!result) return "";
+  if(result.fatal) return `<div class="item"><strong>Can't import</strong><div class="muted">${escapeHTML(result.fatal)}</div></div>`;
+
+  const inc = result.store;
+  const plural = (n, w) => `${n} ${w}${n!==1?'s':''}`;
+  let preview;
+  if(mode === "merge"){
+    const m = mergeStores(store, inc);
+    const extras = ["event", "sport", "session", "plan"].filter(k => m.added[`${k}s`]).map(k => plural(m.added[`${k}s`], k));
+    if(m.added.health) extras.push(plural(m.added.health, "health entry").replace(/entrys$/, "entries"));
+    preview = `
+      <div><strong>Adds ${plural(m.added.dogs, "dog")} and ${plural(m.added.runs, "run")}${extras.length ? `, plus ${extras.join(", ")}` : ""}.</strong></div>
+      ${m.kept.dogs || m.kept.runs ? `<div class="muted">${plural(m.kept.dogs, "dog")} and ${plural(m.kept.runs, "run")} are already on this device and stay as they are.</div>` : ""}
+    `;
+  } else {
+    preview = `
+      <div><strong>Replaces ${plural(store.dogs.length, "dog")} / ${plural(store.runs.length, "run")} on this device
+      with ${plural(inc.dogs.length, "dog")} / ${plural(inc.runs.length, "run")}.</strong></div>
+    `;
+  }
+
+  const shown = result.problems.slice(0, 20);
+  return `
+    <div class="item">${preview}</div>
+    ${shown.length ? `
+      <div class="small-note">${plural(result.problems.length, "problem")} found. These records will be skipped:</div>
+      <ul class="issues">
+        ${shown.map(p => `<li>${escapeHTML(p)}</li>`).join("")}
+        ${result.problems.length > shown.length ? `<li>…and ${result.problems.length - shown.length} more</li>` : ""}
+      </ul>
+    ` : ""}
+  `;
+}
+
+// ---------- CSV (runs) ----------
+const CSV_FIELDS = [
+  { key:"dog", label:"Dog name", required:true, names:["dog","dog name","name"] },
+  { key:"breed", label:"Breed", names:["breed"] },
+  { key:"sport", label:"Sport", names:["sport","discipline","event"] },
+  { key:"distance", label:"Distance", names:["distance_m","distance_yd","distance","dist","meters","metres","yards"] },
+  { key:"time", label:"Time", names:["time_s","time","seconds","result"] },
+  { key:"date", label:"Date", names:["date","created","day"] },
+  { key:"notes", label:"Notes", names:["notes","note","comment","comments"] },
+  { key:"splits", label:"Splits", names:["splits","split"] },
+  { key:"faults", label:"Faults", names:["faults","fault"] },
+  { key:"refusals", label:"Refusals", names:["refusals","refusal"] },
+  { key:"penalty", label:"Penalty (s)", names:["penalty_s","penalty","penalties"] },
+  { key:"eliminated", label:"Eliminated", names:["eliminated","elim","dq"] },
+  { key:"qualified", label:"Qualifying", names:["qualified","qualifying","q"] },
+  { key:"heightClass", label:"Height class", names:["height_class","height","class"] },
+  { key:"points", label:"Points", names:["points","score"] },
+  { key:"startMethod", label:"Start method", names:["start_method","start"] },
+  { key:"timingSource", label:"Timing source", names:["timing_source","timing","timed_by"] }
+];
+
+function csvCell(v){
+  const s = String(v ?? "");
+  return /[",\n\r;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function parseCSV(text){
+  // RFC 4180-ish: quoted cells, doubled quotes, newlines inside quotes; delimiter guessed from the header
+  const src = text.replace(/^\uFEFF/, "");
+  const head = src.split(/\r?\n/, 1)[0];
+  const delim = [",", ";", "\t"].reduce((a,b)=> (head.split(b).length > head.split(a).length ? b : a), ",");
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for(let i=0; i<src.length; i++){
+    const ch = src[i];
+    if(quoted){
+      if(ch === '"' && src[i+1] === '"'){ cell += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else cell += ch;
+    } else if(ch === '"') quoted = true;
+    else if(ch === delim){ row.push(cell); cell = ""; }
+    else if(ch === "\n" || ch === "\r"){
+      if(ch === "\r" && src[i+1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if(cell || row.length){ row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+function formatSplitsCell(splits){
+  return (splits || []).map(s => `${distLabel(s.atM)} ${(s.timeMs/1000).toFixed(2)}`).join("; ");
+}
+
+function parseSplitsCell(str){
+  // each mark carries its own unit ("50m 6.12" or "50yd 6.40")
+  return Array.from((str || "").matchAll(/(\d+(?:\.\d+)?)\s*(m|yd)\s+([\d:.]+)/g))
+    .map(m => ({ atM: fromDistUnit(parseFloat(m[1]), m[2]), timeMs: parseTimeString(m[3]) }))
+    .filter(s => s.timeMs != null);
+}
+
+function runsToCSV(runs){
+  const dogs = dogsById();
+  // distance and speed columns follow the display units and say so in their names
+  const speedCol = store.settings.units === "pace" ? `pace_s_per_100${distUnit()}` : `speed_${SPEED_UNITS[store.settings.units] ? store.settings.units : "kmh"}`;
+  const header = ["date","dog","breed","sport",`distance_${distUnit()}`,"time_s",speedCol,"notes","splits",
+    "faults","refusals","penalty_s","eliminated","qualified","height_class","points","start_method","timing_source",`top_${speedCol}`];
+  const yesNo = (v) => (v == null ? "" : v ? "yes" : "no");
+  const lines = runs.map(r => {
+    const d = dogs.get(r.dogId);
+    const sc = r.score || {};
+    return [r.createdAt, d?.name || "", d?.breed || "", r.sport, r.distanceM ? round(toDistUnit(r.distanceM), 2) : "", r.timeMs ? (r.timeMs/1000).toFixed(3) : "",
+      r.speedKmh ? round(speedIn(r.speedKmh), 2) : "", r.notes || "", formatSplitsCell(r.splits),
+      sc.faults ?? "", sc.refusals ?? "", sc.penaltySec ?? "", yesNo(sc.eliminated), yesNo(sc.qualified),
+      r.heightClass || "", sc.points ?? "", r.startMethod || "", r.timingSource || "", r.topSpeedKmh ? round(speedIn(r.topSpeedKmh), 2) : ""];
+  });
+  return "\uFEFF" + [header, ...lines].map(l => l.map(csvCell).join(",")).join("\r\n");
+}
+
+function guessCSVMapping(header){
+  const norm = header.map(h => h.trim().toLowerCase());
+  const mapping = {};
+  CSV_FIELDS.forEach(f => {
+    const i = norm.findIndex(h => f.names.includes(h));
+    mapping[f.key] = i;
+  });
+  return mapping;
+}
+
+function parseCSVDate(str, format){
+  const t = (str || "").trim();
+  const m = t.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:[ T](\d{1,2}):(\d{2}))?/);
+  if(m && format !== "iso"){
+    const [a, b] = format === "mdy" ? [m[2], m[1]] : [m[1], m[2]];
+    const d = new Date(+m[3], +b - 1, +a, +(m[4] || 12), +(m[5] || 0));
+    return Number.isNaN(d.getTime()) ? null : d.toISOString();
+  }
+  const ms = Date.parse(t);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+function csvToRuns(rows, mapping, opts){
+  // rows[0] is the header; returns what an import would add without touching the store
+  const problems = [];
+  const newDogs = [];
+  const runs = [];
+  let duplicates = 0;
+  const dogByName = new Map(store.dogs.map(d => [d.name.trim().toLowerCase(), d]));
+  const existing = new Set(store.runs.map(r => `${r.dogId}|${r.distanceM}|${r.timeMs}|${r.createdAt}`));
+  const knownM = Array.from(new Set([...store.distances, ...store.runs.map(r => r.distanceM)]));
+  const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || "").trim() : "");
+
+  rows.slice(1).forEach((row, i) => {
+    const label = `Row ${i+2}`;
+    const name = cell(row, "dog");
+    if(!name){ problems.push(`${label}: no dog name`); return; }
+
+    const sportRaw = cell(row, "sport");
+    const sport = sportRaw ? sportNames().find(s => s.toLowerCase() === sportRaw.toLowerCase()) : opts.sport;
+    if(!sport){ problems.push(`${label}: unknown sport “${sportRaw}”`); return; }
+
+    // distance and time are only required when the sport captures them
+    const distanceM = hasField(sport, "distance") ? distInputM(parseFloat(cell(row, "distance")), knownM, 2, opts.distUnit) : 0;
+    if(hasField(sport, "distance") && !(distanceM > 0)){ problems.push(`${label}: bad distance “${cell(row, "distance")}”`); return; }
+
+    const timeMs = hasField(sport, "time") ? parseTimeString(cell(row, "time")) : 0;
+    if(hasField(sport, "time") && !(timeMs > 0)){ problems.push(`${label}: bad time “${cell(row, "time")}”`); return; }
+
+    const createdAt = mapping.date >= 0 ? parseCSVDate(cell(row, "date"), opts.dateFormat) : nowISO();
+    if(!createdAt){ problems.push(`${label}: bad date “${cell(row, "date")}”`); return; }
+
+    let dog = dogByName.get(name.toLowerCase());
+    if(!dog){
+      dog = { id: uid(), name, breed: cell(row, "breed"), notes:"", photoDataUrl:null, createdAt: nowISO() };
+      dogByName.set(name.toLowerCase(), dog);
+      newDogs.push(dog);
+    }
+
+    const key = `${dog.id}|${distanceM}|${Math.round(timeMs)}|${createdAt}`;
+    if(existing.has(key)){ duplicates++; return; }
+    existing.add(key);
+
+    const run = {
+      id: uid(),
+      dogId: dog.id,
+      distanceM,
+      timeMs: Math.round(timeMs),
+      speedKmh: distanceM && timeMs ? round(speedKmh(distanceM, timeMs), 4) : 0,
+      sport,
+      notes: cell(row, "notes"),
+      splits: parseSplitsCell(cell(row, "splits")).filter(s => s.atM < distanceM && s.timeMs < timeMs),
+      createdAt
+    };
+    const heightClass = cell(row, "heightClass");
+    if(heightClass && hasField(sport, "heightClass")) run.heightClass = heightClass;
+    const startMethod = cell(row, "startMethod").toLowerCase();
+    if(timeMs && START_METHODS[startMethod]) run.startMethod = startMethod;
+    const timingSource = cell(row, "timingSource").toLowerCase();
+    if(timeMs && TIMING_SOURCES[timingSource]) run.timingSource = timingSource;
+    if(isScored(sport)){
+      const yes = (v) => /^(1|y|yes|true|x|e|q|dq)$/i.test(v);
+      run.score = {
+        faults: parseInt(cell(row, "faults"), 10) || 0,
+        refusals: parseInt(cell(row, "refusals"), 10) || 0,
+        penaltySec: parseFloat(cell(row, "penalty")) || 0,
+        eliminated: yes(cell(row, "eliminated"))
+      };
+      if(hasField(sport, "points")) run.score.points = parseFloat(cell(row, "points")) || 0;
+      run.score.qualified = mapping.qualified >= 0 ? yes(cell(row, "qualified")) && !run.score.eliminated : autoQualified(sport, run.score);
+    }
+    runs.push(run);
+  });
+
+  return { runs, newDogs, problems, duplicates };
+}
+
+function downloadFile(filename, text, type){
+  const blob = new Blob([text], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+}
+
+function openCSVImport(){
+  modal.open(
+    "Import runs (CSV)",
+    `
+      <form class="form" id="csvForm">
+        <label>Select CSV file
+          <input id="csvFile" type="file" accept=".csv,text/csv,text/plain">
+        </label>
+        <div id="csvMapping"></div>
+        <div id="csvReport"></div>
+        <button class="btn primary" type="submit" id="csvSubmit" disabled>Import runs</button>
+        <p class="small-note">Each row becomes a run. Dogs are matched by name; missing dogs are created. Rows already imported are skipped.</p>
+      </form>
+    `,
+    `<button class="btn ghost" type="button" id="cancelCsv">Cancel</button>`
+  );
+
+  let rows = null;
+  let result = null;
+
+  const readMapping = ()=>{
+    const mapping = {};
+    CSV_FIELDS.forEach(f => { mapping[f.key] = parseInt($(`#csvMap_${f.key}`).value, 10); });
+    return mapping;
+  };
+
+  const refresh = ()=>{
+    const mapping = readMapping();
+    const missing = CSV_FIELDS.filter(f => f.required && mapping[f.key] < 0);
+    result = missing.length ? null : csvToRuns(rows, mapping, { sport: $("#csvSport").value, dateFormat: $("#csvDateFormat").value, distUnit: $("#csvDistUnit").value });
+    const shown = result ? result.problems.slice(0, 20) : [];
+    $("#csvReport").innerHTML = missing.length ? `
+      <div class="item"><span class="muted">Choose a column for ${missing.map(f => f.label).join(", ")}.</span></div>
+    ` : `
+      <div class="item">
+        <div><strong>${result.runs.length} run${result.runs.length!==1?'s':''} to add</strong>${result.newDogs.length ? `, ${result.newDogs.length} new dog${result.newDogs.length!==1?'s':''} (${result.newDogs.map(d => escapeHTML(d.name)).join(", ")})` : ""}.</div>
+        ${result.duplicates ? `<div class="muted">${result.duplicates} row${result.duplicates!==1?'s are':' is'} already in your runs.</div>` : ""}
+      </div>
+      ${shown.length ? `
+        <div class="small-note">${result.problems.length} row${result.problems.length!==1?'s':''} will be skipped:</div>
+        <ul class="issues">
+          ${shown.map(p => `<li>${escapeHTML(p)}</li>`).join("")}
+          ${result.problems.length > shown.length ? `<li>…and ${result.problems.length - shown.length} more</li>` : ""}
+        </ul>
+      ` : ""}
+    `;
+    $("#csvSubmit").disabled = !result?.runs.length;
+  };
+
+  $("#cancelCsv").addEventListener("click", modal.close);
+
+  $("#csvFile").addEventListener("change", async ()=>{
+    const file = $("#csvFile").files?.[0];
+    rows = file ? parseCSV(await file.text()) : null;
+    if(!rows || rows.length < 2){
+      $("#csvMapping").innerHTML = "";
+      $("#csvReport").innerHTML = file ? `<div class="item"><span class="muted">No rows found in this file.</span></div>` : "";
+      $("#csvSubmit").disabled = true;
+      return;
+    }
+    const header = rows[0];
+    const guess = guessCSVMapping(header);
+    const yards = /yd|yard/i.test(header[guess.distance] || "") || (!/_m$|met/i.test(header[guess.distance] || "") && distUnit() === "yd");
+    $("#csvMapping").innerHTML = `
+      <div class="row wrap filters">
+        ${CSV_FIELDS.map(f => `
+          <label>${f.label}${f.required ? " *" : ""}
+            <select id="csvMap_${f.key}">
+              <option value="-1">${f.required ? "Choose column" : "Not in file"}</option>
+              ${header.map((h,i)=> `<option value="${i}" ${i===guess[f.key]?'selected':''}>${escapeHTML(h || `Column ${i+1}`)}</option>`).join("")}
+            </select>
+          </label>
+        `).join("")}
+        <label>Sport when empty
+          <select id="csvSport">
+            ${sportOptionsHTML(sportNames(), store.settings.defaultSport)}
+          </select>
+        </label>
+        <label>Date format
+          <select id="csvDateFormat">
+            <option value="iso">YYYY-MM-DD (ISO)</option>
+            <option value="dmy">DD/MM/YYYY</option>
+            <option value="mdy">MM/DD/YYYY</option>
+          </select>
+        </label>
+        <label>Distances are in
+          <select id="csvDistUnit">
+            ${Object.entries(DIST_UNITS).map(([k, label]) => `<option value="${k}" ${(k === "yd") === yards ? 'selected' : ''}>${label}</option>`).join("")}
+          </select>
+        </label>
+      </div>
+    `;
+    $$("#csvMapping select").forEach(sel => sel.addEventListener("change", refresh));
+    refresh();
+  });
+
+  $("#csvForm").addEventListener("submit", (e)=>{
+    e.preventDefault();
+    if(!result?.runs.length) return;
+    takeSnapshot("import");
+    store.dogs.push(...result.newDogs);
+    store.runs = [...store.runs, ...result.runs].sort((a,b)=> a.createdAt.localeCompare(b.createdAt));
+    saveStore(store);
+    modal.close();
+    render();
+    toast(`Imported ${result.runs.length} runs`);
+  });
 }
 
 // ---------- Settings ----------
 function wireSettings(){
+  wireTrash();
+  wireSnapshots();
   $("#defaultDistance")?.addEventListener("change", (e)=>{
-    store.settings.defaultDistanceM = parseInt(e.target.value,10);
+    store.settings.defaultDistanceM = parseFloat(e.target.value);
     saveStore(store);
     toast("Saved");
   });
@@ -903,17 +5045,58 @@ function wireSettings(){
     saveStore(store);
     toast("Saved");
   });
+  $("#unitSpeed")?.addEventListener("change", (e)=>{
+    store.settings.units = e.target.value;
+    saveStore(store);
+    render();
+  });
+  $("#unitDistance")?.addEventListener("change", (e)=>{
+    store.settings.distanceUnit = e.target.value;
+    saveStore(store);
+    render();
+  });
+  $("#splitEvery")?.addEventListener("change", (e)=>{
+    store.settings.splitEveryM = parseFloat(e.target.value);
+    saveStore(store);
+    toast("Saved");
+  });
+  $("#countdownS")?.addEventListener("change", (e)=>{
+    store.settings.countdownS = parseInt(e.target.value, 10);
+    saveStore(store);
+    toast("Saved");
+  });
+  $("#micThreshold")?.addEventListener("change", (e)=>{
+    store.settings.micThreshold = parseFloat(e.target.value);
+    saveStore(store);
+    toast("Saved");
+  });
+  $("#micStop")?.addEventListener("change", (e)=>{
+    store.settings.micStop = e.target.checked;
+    saveStore(store);
+    toast("Saved");
+  });
+
+  $("#addSportBtn")?.addEventListener("click", ()=> openSportEditor());
+  $("#addPlanBtn")?.addEventListener("click", ()=> openPlanEditor());
+  $("#planList")?.addEventListener("click", (e)=>{
+    const plan = store.plans.find(p => p.id === e.target.dataset.plan);
+    if(plan) openPlanEditor(plan);
+  });
+  $("#sportList")?.addEventListener("click", (e)=>{
+    const i = e.target.dataset.sport;
+    if(i != null) openSportEditor(store.sports[i]);
+  });
 
   $("#manageDistances")?.addEventListener("click", ()=>{
     modal.open(
       "Manage distances",
       `
         <form class="form" id="distForm">
-          <label>Distances (meters, comma separated)
-            <input id="distInput" type="text" value="${store.distances.join(", ")}" placeholder="e.g., 50, 100, 200">
+          <label>Distances (${DIST_UNITS[distUnit()].toLowerCase()}, comma separated)
+            <input id="distInput" type="text" value="${store.distances.map(d => round(toDistUnit(d), 1)).join(", ")}" placeholder="e.g., 50, 100, 200">
           </label>
           <button class="btn primary" type="submit">Save</button>
-          <p class="small-note">Tip: keep 100m in the list if that’s your main sprint distance.</p>
+          <p class="small-note">Tip: keep 100 in the list if that’s your main sprint distance.</p>
         </form>
       `,
       `<button class="btn ghost" type="button" id="cancelDist">Cancel</button>`
@@ -921,7 +5104,7 @@ function wireSettings(){
     $("#cancelDist").addEventListener("click", modal.close);
     $("#distForm").addEventListener("submit", (e)=>{
       e.preventDefault();
-      const raw = ($("#distInput").value||"").split(",").map(x=> parseInt(x.trim(),10)).filter(n=> Number.isFinite(n) && n>0);
+      const raw = ($("#distInput").value||"").split(",").map(x=> parseFloat(x.trim())).filter(n=> Number.isFinite(n) && n>0).map(n=> distInputM(n, store.distances));
       const uniq = Array.from(new Set(raw)).slice(0,12);
       if(!uniq.length){ toast("Enter at least one distance"); return; }
       store.distances = uniq;
@@ -935,15 +5118,18 @@ function wireSettings(){
   });
 
   $("#exportBtn")?.addEventListener("click", ()=>{
-    const data = JSON.stringify(store, null, 2);
-    const blob = new Blob([data], {type:"application/json"});
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = `dog-sports-tracking-backup-${new Date().toISOString().slice(0,10)}.json`;
-    a.click();
+    downloadFile(`dog-sports-tracking-backup-${new Date().toISOString().slice(0,10)}.json`, JSON.stringify(store, null, 2), "application/json");
+    toast("Export started");
+  });
+
+  $("#exportCsvBtn")?.addEventListener("click", ()=>{
+    if(!store.runs.length){ toast("No runs to export"); return; }
+    downloadFile(`dog-sports-tracking-runs-${new Date().toISOString().slice(0,10)}.csv`, runsToCSV(store.runs), "text/csv");
     toast("Export started");
   });
 
+  $("#importCsvBtn")?.addEventListener("click", openCSVImport);
+
   $("#importBtn")?.addEventListener("click", ()=>{
     modal.open(
       "Import backup",
@@ -952,39 +5138,364 @@ function wireSettings(){
           <label>Select backup JSON file
             <input id="importFile" type="file" accept="application/json">
           </label>
-          <button class="btn danger" type="submit">Import (overwrites)</button>
-          <p class="small-note">This will overwrite your current data.</p>
+          <label>Mode
+            <select id="importMode">
+              <option value="merge">Merge with this device (keeps both)</option>
+              <option value="replace">Replace everything on this device</option>
+            </select>
+          </label>
+          <div id="importReport"></div>
+          <button class="btn primary" type="submit" id="importSubmit" disabled>Import</button>
+          <p class="small-note">Merge combines dogs and runs from another phone. Replace overwrites your current data.</p>
         </form>
       `,
       `<button class="btn ghost" type="button" id="cancelImport">Cancel</button>`
     );
+    let result = null;
+    const refresh = ()=>{
+      const mode = $("#importMode").value;
+      $("#importReport").innerHTML = importReportHTML(result, mode);
+      $("#importSubmit").disabled = !result?.store;
+      $("#importSubmit").className = `btn ${mode === "replace" ? "danger" : "primary"}`;
+      $("#importSubmit").textContent = mode === "replace" ? "Import (overwrites)" : "Import (merge)";
+    };
     $("#cancelImport").addEventListener("click", modal.close);
-    $("#importForm").addEventListener("submit", async (e)=>{
-      e.preventDefault();
+    $("#importMode").addEventListener("change", refresh);
+    $("#importFile").addEventListener("change", async ()=>{
       const file = $("#importFile").files?.[0];
-      if(!file){ toast("Select a file"); return; }
-      const text = await file.text();
-      const data = safeJSONParse(text, null);
-      if(!data || !data.version){ toast("Invalid backup file"); return; }
-      store = data;
+      try{
+        result = file ? validateBackup(safeJSONParse(await file.text(), null)) : null;
+      }catch(err){
+        result = { fatal: `Backup could not be read: ${err.message}` };
+      }
+      refresh();
+    });
+    $("#importForm").addEventListener("submit", (e)=>{
+      e.preventDefault();
+      if(!result?.store){ toast("Select a valid backup file"); return; }
+      takeSnapshot("import");
+      if($("#importMode").value === "merge"){
+        const m = mergeStores(store, result.store);
+        store = m.store;
+        toast(`Merged: +${m.added.dogs} dogs, +${m.added.runs} runs`);
+      } else {
+        store = result.store;
+        toast("Imported");
+      }
       saveStore(store);
       modal.close();
       render();
-      toast("Imported");
     });
   });
 
   $("#factoryReset")?.addEventListener("click", ()=>{
     if(!confirm("Factory reset will delete dogs and runs. Continue?")) return;
-    store = defaultStore();
+    takeSnapshot("reset");
+    // all of it can still come back from the trash
+    const { sports, distances, settings } = store;
+    const entry = moveToTrash("Factory reset", Object.fromEntries(TRASH_COLLECTIONS.map(k => [k, ()=> true])),
+      { reset: { sports, distances, settings } });
+    store = { ...defaultStore(), trash: store.trash };
+    saveStore(store);
+    render();
+    undoToast(entry, "Factory reset done");
+  });
+}
+
+// ---------- Trash + undo ----------
+// Deletes move items into store.trash instead of dropping them: one entry per action,
+// restorable from Settings → Trash, and straight away from the undo toast.
+const TRASH_DAYS = 30;
+const UNDO_MS = 6000;
+const TRASH_COLLECTIONS = ["dogs", "runs", "health", "events", "sessions", "plans"];
+
+function moveToTrash(label, pick, extra={}){
+  // pick: { collection: item => should it go }; returns the entry (null if nothing matched)
+  const data = {};
+  Object.entries(pick).forEach(([k, goes]) => {
+    const gone = store[k].filter(goes);
+    if(!gone.length) return;
+    data[k] = gone;
+    store[k] = store[k].filter(x => !goes(x));
+  });
+  if(!Object.keys(data).length && !Object.keys(extra).length) return null;
+  const entry = { id: uid(), label, data, ...extra, createdAt: nowISO() };
+  store.trash.push(entry);
+  return entry;
+}
+
+function trashDogs(label, dogIds){
+  // a dog goes with its runs and health log, and remembers its place in event running orders
+  const ids = new Set(dogIds);
+  const eventOrders = store.events.filter(ev => ev.order.some(id => ids.has(id))).map(ev => ({ eventId: ev.id, order: ev.order }));
+  const entry = moveToTrash(label, {
+    dogs: d => ids.has(d.id),
+    runs: r => ids.has(r.dogId),
+    health: x => ids.has(x.dogId)
+  }, eventOrders.length ? { eventOrders } : {});
+  store.events = store.events.map(ev => ({ ...ev, order: ev.order.filter(id => !ids.has(id)) }));
+  if(ids.has(store.settings.activeDogId)) store.settings.activeDogId = store.dogs[0]?.id || undefined;
+  if(ids.has(store.settings.profileDogId)) store.settings.profileDogId = undefined;
+  return entry;
+}
+
+function restoreFromTrash(entryId){
+  const entry = store.trash.find(t => t.id === entryId);
+  if(!entry) return;
+  // a factory reset also brings back the sports, distances and settings it replaced
+  if(entry.reset){
+    store.sports = entry.reset.sports;
+    store.distances = entry.reset.distances;
+    store.settings = { ...defaultStore().settings, ...entry.reset.settings };
+  }
+  const dogIds = new Set([...store.dogs, ...(entry.data.dogs || [])].map(d => d.id));
+  // runs and health entries whose dog has been deleted since stay in the trash until it's back
+  const left = {};
+  Object.entries(entry.data).forEach(([k, items]) => {
+    if(!TRASH_COLLECTIONS.includes(k)) return;
+    const orphan = (x) => (k === "runs" || k === "health") && !dogIds.has(x.dogId);
+    if(items.some(orphan)) left[k] = items.filter(orphan);
+    const have = new Set(store[k].map(x => x.id));
+    store[k] = [...store[k], ...items.filter(x => !have.has(x.id) && !orphan(x))];
+  });
+  store.runs.sort((a,b)=> a.createdAt.localeCompare(b.createdAt));
+  (entry.eventOrders || []).forEach(({ eventId, order }) => {
+    const ev = store.events.find(e => e.id === eventId);
+    if(ev) ev.order = [...order.filter(id => dogIds.has(id)), ...ev.order.filter(id => !order.includes(id))];
+  });
+  const kept = Object.values(left).reduce((n, items) => n + items.length, 0);
+  store.trash = store.trash
+    .map(t => (t.id === entryId && kept ? { id: t.id, label: t.label, data: left, createdAt: t.createdAt } : t))
+    .filter(t => t.id !== entryId || kept);
+  saveStore(store);
+  render();
+  toast(kept
+    ? `Restored part of ${entry.label}: ${kept !== 1 ? `${kept} items stay` : "1 item stays"} in Trash until their dog is restored`
+    : `Restored: ${entry.label}`);
+}
+
+function undoToast(entry, msg){
+  if(!entry) return;
+  toast(msg || `${entry.label} • moved to Trash`, { label: "Undo", fn: ()=> restoreFromTrash(entry.id) });
+}
+
+function trashSummary(entry){
+  const n = (k, w) => entry.data[k]?.length ? `${entry.data[k].length} ${w}${entry.data[k].length !== 1 ? "s" : ""}` : "";
+  return [n("dogs", "dog"), n("runs", "run"), n("health", "health entry").replace(/entrys$/, "entries"), n("events", "event"), n("sessions", "session"), n("plans", "plan"),
+    entry.reset ? "sports and settings" : ""].filter(Boolean).join(", ");
+}
+
+function purgeTrash(){
+  // entries older than TRASH_DAYS are gone for good
+  const cutoff = Date.now() - TRASH_DAYS * DAY_MS;
+  const keep = store.trash.filter(t => Date.parse(t.createdAt) >= cutoff);
+  if(keep.length === store.trash.length) return;
+  store.trash = keep;
+  saveStore(store);
+}
+
+function viewTrash(){
+  const entries = store.trash.slice().sort((a,b)=> b.createdAt.localeCompare(a.createdAt));
+  return `
+    <h2>Trash</h2>
+    ${entries.length ? `
+      <ul class="list" id="trashList">
+        ${entries.map(t => `
+          <li class="item row space-between wrap" data-trash="${escapeAttr(t.id)}">
+            <div>
+              <strong>${escapeHTML(t.label)}</strong>
+              <div class="muted">${escapeHTML(trashSummary(t))} • ${new Date(t.createdAt).toLocaleString()}</div>
+            </div>
+            <div class="row">
+              <button class="btn" type="button" data-action="restore">Restore</button>
+              <button class="btn ghost" type="button" data-action="purge">Delete forever</button>
+            </div>
+          </li>
+        `).join("")}
+      </ul>
+      <div class="row wrap" style="margin-top:10px;">
+        <button class="btn danger" type="button" id="emptyTrash">Empty trash</button>
+      </div>
+    ` : `<div class="item"><div class="muted">Nothing here. Deleted dogs and runs stay in the trash for ${TRASH_DAYS} days.</div></div>`}
+  `;
+}
+
+function wireTrash(){
+  $("#trashList")?.addEventListener("click", (e)=>{
+    const id = e.target.closest("[data-trash]")?.dataset.trash;
+    const action = e.target.dataset.action;
+    if(!id || !action) return;
+    if(action === "restore") restoreFromTrash(id);
+    if(action === "purge"){
+      if(!confirm("Delete this for good? It can't be restored.")) return;
+      store.trash = store.trash.filter(t => t.id !== id);
+      saveStore(store);
+      render();
+    }
+  });
+  $("#emptyTrash")?.addEventListener("click", ()=>{
+    if(!confirm("Empty the trash? Nothing in it can be restored afterwards.")) return;
+    store.trash = [];
     saveStore(store);
     render();
   });
 }
 
+// ---------- Snapshots ----------
+// Rolling copies of the whole store, kept in IndexedDB next to it (never in exports):
+// one a day, plus one before every import, factory reset and snapshot restore.
+const SNAPSHOT_KEEP = { daily: 7, other: 10 }; // separate pools, so a run of imports can't push out the dailies
+const SNAPSHOT_REASONS = { daily: "Daily", manual: "Taken by hand", import: "Before import", reset: "Before factory reset", restore: "Before restore" };
+const SNAPSHOT_COLLECTIONS = ["dogs", "runs", "health", "events", "sessions", "plans"];
+let snapshots = null; // newest first: {id, reason, createdAt, counts}; null until loaded (or without IndexedDB)
+
+function snapshotCounts(s){
+  return Object.fromEntries(SNAPSHOT_COLLECTIONS.map(k => [k, (s[k] || []).length]));
+}
+
+function snapshotPool(meta){ return meta.reason === "daily" ? "daily" : "other"; }
+
+function takeSnapshot(reason, s=store){
+  // the copy is taken now (put() clones synchronously); writing it finishes in the background
+  if(!db || !snapshots) return Promise.resolve(null);
+  const meta = { id: uid(), reason, createdAt: nowISO(), counts: snapshotCounts(s) };
+  const pool = [meta, ...snapshots].filter(x => snapshotPool(x) === snapshotPool(meta));
+  const gone = new Set(pool.slice(SNAPSHOT_KEEP[snapshotPool(meta)]).map(x => x.id));
+  snapshots = [meta, ...snapshots].filter(x => !gone.has(x.id));
+  const tx = db.transaction(["snapshots", "snapshotData"], "readwrite");
+  tx.objectStore("snapshots").put(meta);
+  tx.objectStore("snapshotData").put({ id: meta.id, store: s });
+  gone.forEach(id => {
+    tx.objectStore("snapshots").delete(id);
+    tx.objectStore("snapshotData").delete(id);
+  });
+  return new Promise((res)=>{
+    tx.oncomplete = ()=> res(meta);
+    tx.onerror = tx.onabort = ()=>{
+      snapshots = snapshots.filter(x => x.id !== meta.id);
+      toast("Could not save a snapshot");
+      res(null);
+    };
+  });
+}
+
+function snapshotDaily(s=store){
+  if(!snapshots) return;
+  const today = localDay(nowISO());
+  if(snapshots.some(x => x.reason === "daily" && localDay(x.createdAt) === today)) return;
+  takeSnapshot("daily", s);
+}
+
+function snapshotDiff(old){
+  // per collection: how many items were added, removed or edited since the snapshot
+  return SNAPSHOT_COLLECTIONS.map(k => {
+    const then = new Map((old[k] || []).map(x => [x.id, JSON.stringify(x)]));
+    const now = new Map(store[k].map(x => [x.id, JSON.stringify(x)]));
+    let added = 0, changed = 0;
+    now.forEach((sig, id) => {
+      if(!then.has(id)) added++;
+      else if(then.get(id) !== sig) changed++;
+    });
+    const removed = [...then.keys()].filter(id => !now.has(id)).length;
+    return { k, then: then.size, now: now.size, added, removed, changed };
+  });
+}
+
+async function openSnapshotDiff(meta){
+  const row = await idbGet("snapshotData", meta.id);
+  if(!row){ toast("Snapshot not found"); return; }
+  const diff = snapshotDiff(migrateStore(row.store));
+  const cell = (n, sign) => n ? `${sign}${n}` : `<span class="muted">–</span>`;
+  modal.open(
+    `${SNAPSHOT_REASONS[meta.reason] || "Snapshot"} • ${new Date(meta.createdAt).toLocaleString()}`,
+    `
+      <p>What changed between this snapshot and the data on this device now.</p>
+      <table class="table">
+        <thead><tr><th></th><th>Snapshot</th><th>Now</th><th>Added</th><th>Removed</th><th>Edited</th></tr></thead>
+        <tbody>
+          ${diff.map(d => `
+            <tr>
+              <td>${d.k[0].toUpperCase() + d.k.slice(1)}</td>
+              <td>${d.then}</td><td>${d.now}</td>
+              <td>${cell(d.added, "+")}</td><td>${cell(d.removed, "−")}</td><td>${cell(d.changed, "")}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+      ${diff.some(d => d.added || d.removed || d.changed) ? "" : `<p class="small-note">No differences: your data matches this snapshot.</p>`}
+    `,
+    `
+      <button class="btn ghost" type="button" id="closeSnapDiff">Close</button>
+      <button class="btn danger" type="button" id="restoreSnapDiff">Restore this snapshot</button>
+    `
+  );
+  $("#closeSnapDiff").addEventListener("click", modal.close);
+  $("#restoreSnapDiff").addEventListener("click", ()=>{
+    modal.close();
+    restoreSnapshot(meta);
+  });
+}
+
+async function restoreSnapshot(meta){
+  if(!confirm(`Replace all data on this device with the snapshot from ${new Date(meta.createdAt).toLocaleString()}? The current data is snapshotted first.`)) return;
+  const row = await idbGet("snapshotData", meta.id);
+  if(!row){ toast("Snapshot not found"); return; }
+  takeSnapshot("restore");
+  store = { ...migrateStore(row.store), activeTab: store.activeTab };
+  saveStore(store);
+  render();
+  toast("Snapshot restored");
+}
+
+function viewSnapshots(){
+  const snaps = snapshots || [];
+  const counts = (c) => `${c.dogs} dog${c.dogs !== 1 ? "s" : ""}, ${c.runs} run${c.runs !== 1 ? "s" : ""}`;
+  return `
+    <h2>Snapshots</h2>
+    ${!snapshots ? `<div class="item"><div class="muted">Snapshots need IndexedDB, which this browser doesn't offer here. Use Export instead.</div></div>` : snaps.length ? `
+      <ul class="list" id="snapshotList">
+        ${snaps.map(x => `
+          <li class="item row space-between wrap" data-snapshot="${x.id}">
+            <div>
+              <strong>${new Date(x.createdAt).toLocaleString()}</strong>
+              <div class="muted">${escapeHTML(SNAPSHOT_REASONS[x.reason] || x.reason)} • ${counts(x.counts)}</div>
+            </div>
+            <div class="row">
+              <button class="btn" type="button" data-action="compare">Compare</button>
+              <button class="btn ghost" type="button" data-action="restore">Restore</button>
+            </div>
+          </li>
+        `).join("")}
+      </ul>
+    ` : `<div class="item"><div class="muted">No snapshots yet.</div></div>`}
+    ${snapshots ? `
+      <div class="row wrap" style="margin-top:10px;">
+        <button class="btn" type="button" id="takeSnapshot">Take snapshot now</button>
+      </div>
+    ` : ""}
+    <p class="small-note">A copy of all data is kept automatically once a day and before every import, factory reset or restore. The newest ${SNAPSHOT_KEEP.daily} daily and ${SNAPSHOT_KEEP.other} other snapshots are kept on this device; they aren't part of exports.</p>
+  `;
+}
+
+function wireSnapshots(){
+  $("#snapshotList")?.addEventListener("click", (e)=>{
+    const meta = snapshots.find(x => x.id === e.target.closest("[data-snapshot]")?.dataset.snapshot);
+    const action = e.target.dataset.action;
+    if(!meta || !action) return;
+    if(action === "compare") openSnapshotDiff(meta);
+    if(action === "restore") restoreSnapshot(meta);
+  });
+  $("#takeSnapshot")?.addEventListener("click", async ()=>{
+    const meta = await takeSnapshot("manual");
+    if(meta) toast("Snapshot taken");
+    render();
+  });
+}
+
 // ---------- Simple toast ----------
 let toastTimer = 0;
-function toast(msg){
+function toast(msg, action=null){
+  // action: { label, fn } adds a button (e.g. Undo) and keeps the toast up longer
   clearTimeout(toastTimer);
   let el = $("#toast");
   if(!el){
@@ -1007,8 +5518,65 @@ function toast(msg){
     document.body.appendChild(el);
   }
   el.textContent = msg;
+  if(action){
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn ghost toast-action";
+    btn.textContent = action.label;
+    btn.addEventListener("click", ()=>{
+      el.style.opacity = "0";
+      el.style.pointerEvents = "none";
+      action.fn();
+    });
+    el.appendChild(btn);
+  }
   el.style.opacity = "1";
-  toastTimer = setTimeout(()=>{ el.style.opacity = "0"; }, 2200);
+  // a faded toast must not swallow taps meant for the tab bar
+  el.style.pointerEvents = action ? "auto" : "none";
+  toastTimer = setTimeout(()=>{
+    el.style.opacity = "0";
+    el.style.pointerEvents = "none";
+  }, action ? UNDO_MS : 2200);
+}
+
+// ---------- Offline + updates ----------
+// sw.js precaches the app and serves it stale-while-revalidate. A new sw.js installs alongside
+// the running one and waits; once it is installed the banner shows, Reload tells it SKIP_WAITING and
+// the page reloads once it has taken over.
+function registerServiceWorker(){
+  if(!("serviceWorker" in navigator)) return;
+  let reloading = false;
+
+  navigator.serviceWorker.addEventListener("controllerchange", ()=>{
+    // only reload for an update the user asked for, not the first install claiming the page
+    if(!reloading && $("#updateBanner")?.dataset.accepted){
+      reloading = true;
+      location.reload();
+    }
+  });
+
+  navigator.serviceWorker.register("./sw.js").then(reg => {
+    // an update may have installed while the app was closed
+    if(reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg);
+    reg.addEventListener("updatefound", ()=>{
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", ()=>{
+        if(worker.state === "installed" && navigator.serviceWorker.controller) showUpdateBanner(reg);
+      });
+    });
+    // long-lived sessions (a day at the track) still pick up releases
+    setInterval(()=> reg.update().catch(()=>{}), 60 * 60 * 1000);
+  }).catch(()=>{});
+}
+
+function showUpdateBanner(reg){
+  const banner = $("#updateBanner");
+  if(!reg?.waiting || !banner) return;
+  banner.classList.remove("hidden");
+  $("#updateReload").onclick = ()=>{
+    banner.dataset.accepted = "1";
+    reg.waiting.postMessage({ type: "SKIP_WAITING" });
+  };
 }
 
 // ---------- Escaping helpers ----------
@@ -1018,4 +5586,18 @@ function escapeHTML(str){
 function escapeAttr(str){ return escapeHTML(str).replace(/"/g, "&quot;"); }
 
 // initial render
-render();
+loadStore().then(s => {
+  store = s;
+  purgeTrash();
+  snapshotDaily();
+  loadTimer();
+  setTab(store.activeTab || "dogs");
+}).catch(() => {
+  // keep whatever is on disk untouched: this session runs on an empty store that is never saved
+  storageReady = false;
+  snapshots = null;
+  store = defaultStore();
+  setTab("dogs");
+  toast("Couldn't load your data. Changes won't be saved; reload to try again.");
+});
+registerServiceWorker();
@@ -1,39 +1,58 @@
-// Dog Sports Tracking service worker (offline cache)
-const CACHE = "dst-full-v1";
+// Dog Sports Tracking service worker (offline cache + updates)
+// Bump VERSION with every release: the changed file is what makes browsers install the new worker,
+// and the app then offers a reload (see "Offline + updates" in app.js).
+const VERSION = "2";
+const CACHE = `dst-full-v${VERSION}`;
 const CORE = [
   "./",
   "./index.html",
   "./styles.css",
   "./app.js",
   "./manifest.webmanifest",
-  "./icons/icon-192.png",
-  "./icons/icon-512.png"
+  "./icon-192.png",
+  "./icon-512.png"
 ];
 
 self.addEventListener("install", (event) => {
-  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(CORE)));
-  self.skipWaiting();
+  event.waitUntil((async () => {
+    // bypass the HTTP cache so a new version never precaches the old files
+    const cache = await caches.open(CACHE);
+    await cache.addAll(CORE.map(url => new Request(url, { cache: "reload" })));
+  })());
+  // an update then waits until the app sends SKIP_WAITING; a first install just activates
 });
 
 self.addEventListener("activate", (event) => {
-  event.waitUntil(
-    caches.keys().then(keys => Promise.all(keys.map(k => (k !== CACHE ? caches.delete(k) : null))))
-  );
-  self.clients.claim();
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith("dst-") && k !== CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if(event.data?.type === "SKIP_WAITING") self.skipWaiting();
+  if(event.data?.type === "GET_VERSION") event.source?.postMessage({ type: "VERSION", version: VERSION });
 });
 
 self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if(req.method !== "GET" || url.origin !== location.origin) return;
+
+  // stale-while-revalidate: answer from the cache at once, refresh it in the background
+  const fresh = fetch(req).then(resp => {
+    if(resp.ok){
+      const copy = resp.clone();
+      caches.open(CACHE).then(cache => cache.put(req, copy));
+    }
+    return resp;
+  });
+  event.waitUntil(fresh.catch(() => {}));
   event.respondWith(
-    caches.match(event.request).then(cached => cached || fetch(event.request).then(resp => {
-      // cache same-origin GET responses
-      try{
-        const url = new URL(event.request.url);
-        if(url.origin === location.origin && event.request.method === "GET"){
-          const copy = resp.clone();
-          caches.open(CACHE).then(cache => cache.put(event.request, copy));
-        }
-      } catch {}
-      return resp;
-    }).catch(()=> caches.match("./index.html")))
+    caches.match(req, { cacheName: CACHE, ignoreSearch: req.mode === "navigate" })
+      .then(cached => cached || fresh)
+      // offline and never cached: pages fall back to the app shell
+      .catch(() => (req.mode === "navigate" ? caches.match("./index.html", { cacheName: CACHE }) : Response.error()))
   );
 });